@@ -1,19 +1,389 @@
 'use strict';
 
 var _ = require('underscore');
-var npm = require('npm');
 var async = require('async');
+var fs = require('fs');
+var path = require('path');
 var labeledLogger = require('./lib/logger');
 var Player = require('./lib/player');
+var Playlists = require('./lib/playlists');
+var StateStore = require('./lib/statestore');
+var control = require('./lib/control');
+var SongCache = require('./lib/songcache');
+var BackendHealth = require('./lib/health');
+var OpLog = require('./lib/oplog');
+var PlayHistory = require('./lib/playhistory');
+var AutoDJ = require('./lib/autodj');
+var replication = require('./lib/replication');
+var modules = require('./lib/modules');
 var nodeplayerConfig = require('./lib/config');
-var config = nodeplayerConfig.getConfig();
 
-var logger = labeledLogger('core');
+// options:
+// - config: core configuration, missing keys are taken from the default config.
+//   use config.getConfig() for reading it from the user's config file
+// - baseDir: directory for state, playlists, the song cache (unless
+//   songCachePath is configured) and the control socket, defaults to ~/.nodeplayer.
+//   without a baseDir, persistState, persistPlayHistory and controlSocket are off
+//   unless enabled in config, playlists are kept in memory only, no module
+//   lockfile is used and the song cache isn't scanned or evicted from unless
+//   songCachePath is configured
+// - loggerFactory: function(label) returning a winston-like logger, used for
+//   the core and for each module
+// - modules: {plugins: {name: module}, backends: {name: module}} of module
+//   objects to use instead of installing and requiring the configured modules
+// - watchConfig: reload config files read with config.getConfig() when they change
+function Core(options) {
+    options = options || {};
 
-function Core() {
-    this.player = new Player();
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+
+    var config = _.clone(options.config || {});
+
+    // the song cache is only managed (scanned, evicted from) if it's somewhere
+    // we were told about, so that embedding the core can't delete anyone's songs
+    var manageSongCache = !!(options.baseDir || config.songCachePath);
+    if (options.baseDir && !config.songCachePath) {
+        config.songCachePath = path.join(options.baseDir, 'song-cache');
+    }
+    if (!options.baseDir) {
+        // don't write to ~/.nodeplayer of whoever embeds the core unless asked to
+        _.defaults(config, {persistState: false, persistPlayHistory: false, controlSocket: false});
+    }
+
+    // nested defaults (roles, zones...) mustn't be shared with other cores
+    this.config             = _.defaults(config,
+            JSON.parse(JSON.stringify(nodeplayerConfig.getDefaultConfig())));
+    this.baseDir            = options.baseDir           || nodeplayerConfig.getBaseDir();
+    this.persistPlaylists   = !!options.baseDir;
+    this.loggers            = [];
+    this.loggerFactory      = options.loggerFactory     || _.bind(function(label) {
+        var logger = labeledLogger(label, this.config);
+        this.loggers.push(logger);
+        return logger;
+    }, this);
+    this.preloadedModules   = options.modules           || null;
+    this.watchConfig        = options.watchConfig       || false;
+    this.logger             = this.loggerFactory('core');
+
+    // modules and songs being prepared are shared by all zones
+    this.plugins = {};
+    this.backends = {};
+    this.songsPreparing = {};
+    this.zones = {};
+    this.modulesInitialized = false;
+
+    // config entries of required modules by name, and their versions
+    this.moduleSpecs = {plugin: {}, backend: {}};
+    this.moduleLockPath = options.baseDir ? path.join(this.baseDir, 'modules.lock.json') : null;
+    this.moduleLock = null;
+
+    this.songCache = new SongCache({
+        path: manageSongCache ? this.config.songCachePath : null,
+        maxBytes: this.config.songCacheMaxBytes,
+        maxSongs: this.config.songCacheMaxSongs,
+        isInUse: this.isSongInUse,
+        logger: this.logger
+    });
+
+    // backends are shared, and so is their health
+    this.health = new BackendHealth({
+        config: this.config,
+        logger: this.logger,
+        onChange: _.bind(function(backendName, health) {
+            _.each(this.zones, function(player) {
+                player.onBackendHealthChange(backendName, health);
+            });
+        }, this)
+    });
+
+    // operations of all zones, in order
+    this.oplog = new OpLog({
+        size: this.config.opLogSize,
+        onAppend: _.bind(function(op) {
+            if (this.replicationLeader) {
+                this.replicationLeader.broadcast(op);
+            }
+        }, this)
+    });
+    this.replicationLeader = null;
+    this.replicationFollower = null;
+
+    // songs played in all zones, see lib/playhistory.js
+    this.playHistory = new PlayHistory({
+        path: this.config.persistPlayHistory ? path.join(this.baseDir, 'history.jsonl') : null,
+        maxEntries: this.config.historyMaxEntries,
+        logger: this.logger
+    });
+
+    this.player = this.createZone('default');
+
+    _.each(this.config.zones, function(zoneName) {
+        this.createZone(zoneName);
+    }, this);
+
+    if (this.config.persistState) {
+        // playback position only changes implicitly while playing, save it periodically
+        this.stateSaveInterval = setInterval(_.bind(function() {
+            _.each(this.zones, function(player) {
+                if (player.playbackStart) {
+                    player.saveState();
+                }
+            });
+        }, this), this.config.stateSaveIntervalMs);
+        this.stateSaveInterval.unref();
+    }
 }
 
+// create a new zone with its own queue, volume and playback state. returns
+// the zone's Player, or null if the name is invalid or taken
+Core.prototype.createZone = function(zoneName) {
+    if (!/^[\w-]+$/.test(zoneName) || this.zones[zoneName]) {
+        this.logger.error('invalid or already existing zone name: ' + zoneName);
+        return null;
+    }
+
+    var stateStore = null;
+    if (this.config.persistState) {
+        stateStore = new StateStore({
+            path: path.join(this.baseDir,
+                zoneName === 'default' ? 'state.json' : 'state-' + zoneName + '.json'),
+            logger: this.logger
+        });
+    }
+
+    var player = new Player({
+        zone: zoneName,
+        core: this,
+        config: this.config,
+        logger: this.logger,
+        plugins: this.plugins,
+        backends: this.backends,
+        songsPreparing: this.songsPreparing,
+        health: this.health,
+        oplog: this.oplog,
+        playlists: this.player ? this.player.playlists : null,
+        playlistPath: this.persistPlaylists ? path.join(this.baseDir, 'playlists.json') : null,
+        stateStore: stateStore
+    });
+
+    // a song prepared by one zone may be what another zone is waiting for
+    player.on('onSongPrepared', _.bind(function() {
+        _.each(this.zones, function(otherPlayer) {
+            if (otherPlayer !== player && otherPlayer.queue.length) {
+                otherPlayer.prepareSongs();
+            }
+        });
+    }, this), {observe: true});
+
+    // keep song cache index up to date
+    player.on('onSongPrepared', this.songCache.songPrepared, {observe: true});
+    player.on('onSongEnd', this.songCache.songPlayed, {observe: true});
+
+    // record play history
+    player.on('onSongChange', _.bind(function(np) {
+        this.playHistory.songStarted(zoneName, np);
+    }, this), {observe: true});
+    player.on('onSongPause', _.bind(function() {
+        this.playHistory.songPaused(zoneName);
+    }, this), {observe: true});
+    player.on('onSongEnd', _.bind(function() {
+        this.playHistory.songEnded(zoneName);
+    }, this), {observe: true});
+    player.on('postQueueModify', _.bind(function(queue) {
+        this.playHistory.queueModified(zoneName, queue[0]);
+    }, this), {observe: true});
+    player.on('onPlaybackStateChange', _.bind(function(state) {
+        if (state === 'stopped') {
+            this.playHistory.finish(zoneName, true);
+        }
+    }, this), {observe: true});
+
+    player.autoDJ = new AutoDJ({
+        player: player,
+        playHistory: this.playHistory,
+        config: this.config,
+        logger: this.logger
+    });
+    if (this.modulesInitialized) {
+        player.autoDJ.start();
+    }
+
+    if (stateStore) {
+        // restore state before any backends are initialized, songs will be
+        // prepared once all backends are ready
+        player.restoreState(stateStore.load());
+    }
+
+    this.zones[zoneName] = player;
+    this.logger.info('zone created: ' + zoneName);
+    player.callHooks('onZoneCreated', [zoneName]);
+
+    if (this.modulesInitialized && player.queue.length) {
+        player.onQueueModify();
+    }
+
+    return player;
+};
+
+// stop playback in a zone and remove it, the default zone can't be destroyed
+Core.prototype.destroyZone = function(zoneName) {
+    var player = this.zones[zoneName];
+    if (!player) {
+        return 'no such zone: ' + zoneName;
+    }
+    if (player === this.player) {
+        return 'the default zone can\'t be destroyed';
+    }
+
+    // stops playback and cancels preparing songs
+    player.spliceQueue(0, player.queue.length);
+    player.listeners = {};
+    this.playHistory.finish(zoneName, true);
+
+    delete(this.zones[zoneName]);
+    this.logger.info('zone destroyed: ' + zoneName);
+    player.callHooks('onZoneDestroyed', [zoneName]);
+
+    return null;
+};
+
+// songs that are queued in any zone or being prepared must stay in the song cache
+Core.prototype.isSongInUse = function(backendName, songID) {
+    if (this.songsPreparing[backendName] && this.songsPreparing[backendName][songID]) {
+        return true;
+    }
+
+    return _.some(this.zones, function(player) {
+        return player.searchQueue(backendName, songID);
+    });
+};
+
+Core.prototype.getZone = function(zoneName) {
+    return this.zones[zoneName || 'default'] || null;
+};
+
+// returns {zoneName: snapshot} of all zones, see Player.getSnapshot()
+Core.prototype.getSnapshot = function() {
+    var zones = {};
+    _.each(this.zones, function(player, zoneName) {
+        zones[zoneName] = player.getSnapshot();
+    });
+    return zones;
+};
+
+// act as a replication leader or follower if configured, see lib/replication.js
+Core.prototype.startReplication = function() {
+    if (this.config.replicationRole === 'leader') {
+        this.replicationLeader = new replication.ReplicationLeader({
+            core: this,
+            host: this.config.replicationHost,
+            port: this.config.replicationPort,
+            syncIntervalMs: this.config.replicationSyncIntervalMs,
+            logger: this.logger
+        });
+        this.replicationLeader.listen(_.bind(function(err) {
+            if (err) {
+                this.logger.error('unable to listen for replication followers: ' + err);
+                this.replicationLeader = null;
+            }
+        }, this));
+    } else if (this.config.replicationRole === 'follower') {
+        this.replicationFollower = new replication.ReplicationFollower({
+            core: this,
+            host: this.config.replicationHost,
+            port: this.config.replicationPort,
+            reconnectMs: this.config.replicationReconnectMs,
+            maxDriftMs: this.config.replicationMaxDriftMs,
+            logger: this.logger
+        });
+        this.replicationFollower.connect();
+    }
+};
+
+// copy cnt songs starting at pos in fromZone to toPos in toZone, as caller
+// (see Player.authorize()). callback is called like the addToQueue() callback
+// of toZone, with the copied source entries as an extra last argument
+Core.prototype.copySongs = function(fromZone, pos, cnt, toZone, toPos, callback, caller) {
+    callback = callback || _.noop;
+    var from = this.zones[fromZone];
+    var to = this.zones[toZone];
+    if (!from || !to) {
+        callback('no such zone: ' + (from ? toZone : fromZone));
+        return;
+    }
+
+    pos = Math.max(0, parseInt(pos));
+    var sources = from.queue.slice(pos, pos + (cnt || 1));
+    var songs = JSON.parse(JSON.stringify(sources));
+    to.addToQueue(songs, toPos, function(err, added, rejected) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // copies get new entry IDs, leave out sources of rejected copies
+        var rejectedSongs = _.pluck(rejected, 'song');
+        var copied = _.filter(sources, function(source, i) {
+            return !_.contains(rejectedSongs, songs[i]);
+        });
+        callback(null, added, rejected, copied);
+    }, caller);
+};
+
+// like copySongs(), but songs are removed from fromZone once they have been
+// added to toZone. songs that were rejected by toZone stay in fromZone
+Core.prototype.moveSongs = function(fromZone, pos, cnt, toZone, toPos, callback, caller) {
+    callback = callback || _.noop;
+    var from = this.zones[fromZone];
+    if (from) {
+        var start = Math.max(0, parseInt(pos));
+        var err = from.authorize('removeFromQueue', caller,
+                {songs: from.queue.slice(start, start + (cnt || 1))});
+        if (err) {
+            callback(err);
+            return;
+        }
+    }
+
+    this.copySongs(fromZone, pos, cnt, toZone, toPos, function(err, added, rejected, copied) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // remove by entry ID, the source queue might have changed meanwhile
+        async.eachSeries(copied, function(source, next) {
+            if (from.getEntryPos(source.entryID) === -1) {
+                next();
+                return;
+            }
+            from.removeFromQueue(source.entryID, 1, function(err) {
+                next(err);
+            }, caller);
+        }, function(err) {
+            callback(err || null, added, rejected);
+        });
+    }, caller);
+};
+
+// module entries from the config are parsed with modules.parseModuleSpec(),
+// preloaded modules are only known by name
+Core.prototype.getModuleSpec = function(entry, moduleType) {
+    if (this.preloadedModules) {
+        return {name: entry, packageName: null, path: null};
+    }
+
+    return modules.parseModuleSpec(entry, moduleType, this.baseDir);
+};
+
+// what to require() for a module that has been required before
+Core.prototype.getModuleId = function(moduleShortName, moduleType) {
+    var spec = this.moduleSpecs[moduleType][moduleShortName] ||
+        this.getModuleSpec(moduleShortName, moduleType);
+
+    return spec.path || spec.packageName;
+};
+
 Core.prototype.checkModule = function(module) {
     try {
         require.resolve(module);
@@ -23,42 +393,241 @@ Core.prototype.checkModule = function(module) {
     }
 };
 
-Core.prototype.installModule = function(moduleName, callback) {
-    logger.info('installing module: ' + moduleName);
-    npm.load({}, function(err) {
-        npm.commands.install(__dirname, [moduleName], function(err) {
+// package.json of an installed module, null if there is none. read from disk
+// instead of require()d, since it may have changed since by updating
+Core.prototype.readPackage = function(spec) {
+    try {
+        var pkgPath = spec.path ? path.join(spec.path, 'package.json') :
+            require.resolve(spec.packageName + '/package.json');
+        return JSON.parse(fs.readFileSync(pkgPath));
+    } catch (e) {
+        return null;
+    }
+};
+
+// read the module lockfile unless already read, returns an error string or null
+Core.prototype.readModuleLock = function() {
+    if (!this.moduleLock) {
+        try {
+            this.moduleLock = this.moduleLockPath ? modules.readLockfile(this.moduleLockPath) :
+                {plugin: {}, backend: {}};
+        } catch (e) {
+            return e.message;
+        }
+    }
+
+    return null;
+};
+
+Core.prototype.writeModuleLock = function() {
+    if (!this.moduleLockPath) {
+        return;
+    }
+
+    try {
+        modules.writeLockfile(this.moduleLockPath, this.moduleLock);
+    } catch (e) {
+        this.logger.error('unable to write module lockfile: ' + e.message);
+    }
+};
+
+// npm is only loaded when something is installed, so that offline mode works
+// without it
+Core.prototype.installModule = function(moduleName, version, callback) {
+    var npm = require('npm');
+    var pkgSpec = moduleName + (version ? '@' + version : '');
+
+    this.logger.info('installing module: ' + pkgSpec);
+    npm.load({}, _.bind(function(err) {
+        if (err) {
+            this.logger.error(pkgSpec + ' installation failed:', err);
+            callback();
+            return;
+        }
+        npm.commands.install(__dirname, [pkgSpec], _.bind(function(err) {
             if (err) {
-                logger.error(moduleName + ' installation failed:', err);
-                callback();
+                this.logger.error(pkgSpec + ' installation failed:', err);
             } else {
-                logger.info(moduleName + ' successfully installed');
-                callback();
+                this.logger.info(pkgSpec + ' successfully installed');
             }
-        });
-    });
+            callback();
+        }, this));
+    }, this));
+};
+
+// install a module from npm if it's missing. with update, modules are updated
+// to the version in the lockfile, or to the latest version if they're not in
+// it. modules given as paths and anything in offline mode are left alone
+Core.prototype.installModules = function(spec, moduleType, update, callback) {
+    if (spec.path) {
+        callback();
+        return;
+    }
+
+    var locked = this.moduleLock[moduleType][spec.name];
+    var lockedVersion = locked && locked.package === spec.packageName ? locked.version : null;
+    var pkg = this.readPackage(spec);
+
+    if (pkg && !update) {
+        callback();
+        return;
+    }
+    if (pkg && update && lockedVersion && pkg.version === lockedVersion) {
+        // already at the locked version
+        callback();
+        return;
+    }
+    if (this.config.offline) {
+        if (pkg) {
+            this.logger.warn('offline mode, not updating ' + spec.packageName);
+        }
+        callback();
+        return;
+    }
+
+    this.installModule(spec.packageName, lockedVersion, callback);
 };
 
-// make sure all modules are installed, installs missing ones, then calls loadCallback
-Core.prototype.installModules = function(modules, moduleType, update, loadCallback) {
-    async.eachSeries(modules, _.bind(function(moduleShortName, callback) {
-        var moduleName = 'nodeplayer-' + moduleType + '-' + moduleShortName;
-        if (!this.checkModule(moduleName) || update) {
-            // perform install / update
-            this.installModule(moduleName, callback);
+// require a module, installing it first if needed (or if update is set).
+// entry is a module from the config, see modules.parseModuleSpec().
+// callback is called with an error if the module can't be found, otherwise
+// with the module, its dependency info (see lib/modules.js) and its name
+Core.prototype.requireModule = function(entry, moduleType, update, callback) {
+    var spec = this.getModuleSpec(entry, moduleType);
+
+    if (this.preloadedModules) {
+        var preloaded = this.preloadedModules[moduleType + 's'][spec.name];
+        if (!preloaded) {
+            callback('no such ' + moduleType + ': ' + spec.name);
+            return;
+        }
+        callback(null, preloaded, modules.getModuleInfo(preloaded), spec.name);
+        return;
+    }
+
+    var lockErr = this.readModuleLock();
+    if (lockErr) {
+        callback(lockErr);
+        return;
+    }
+
+    this.installModules(spec, moduleType, update, _.bind(function() {
+        var moduleId = spec.path || spec.packageName;
+        if (!this.checkModule(moduleId)) {
+            callback('no such ' + moduleType + ': ' + entry + (spec.path ? '' :
+                    this.config.offline ? ' (' + moduleId + ' is not installed, offline mode)' :
+                    ' (unable to install ' + moduleId + ')'));
+            return;
+        }
+
+        var module;
+        try {
+            module = require(moduleId);
+        } catch (e) {
+            callback('unable to load ' + moduleType + ' ' + entry + ': ' + e.message);
+            return;
+        }
+
+        var pkg = this.readPackage(spec);
+        this.moduleSpecs[moduleType][spec.name] = spec;
+        this.moduleLock[moduleType][spec.name] = {
+            package: spec.packageName,
+            path: spec.path,
+            version: (pkg && pkg.version) || null
+        };
+
+        callback(null, module, modules.getModuleInfo(module, pkg), spec.name);
+    }, this));
+};
+
+// find out which modules to initialize and in which order. plugins that
+// modules depend on are pulled in even if they aren't configured.
+// callback is called with an array of errors (missing modules, incompatible
+// API versions, dependency cycles) or with null and an object containing:
+// - plugin, backend: module names in initialization order
+// - info: {plugin: {name: info}, backend: {name: info}}
+Core.prototype.resolveModules = function(update, callback) {
+    var info = {plugin: {}, backend: {}};
+    var errors = [];
+    var pending = [];
+
+    _.each(['plugin', 'backend'], function(moduleType) {
+        var names = this.preloadedModules ?
+            _.keys(this.preloadedModules[moduleType + 's']) :
+            this.config[moduleType + 's'];
+
+        _.each(names, function(entry) {
+            pending.push({type: moduleType, entry: entry});
+        });
+    }, this);
+
+    var done = _.bind(function() {
+        var sorted = modules.sortModules(_.keys(info.plugin), function(name) {
+            return info.plugin[name].dependencies;
+        });
+        if (sorted.err) {
+            errors.push(sorted.err);
+        }
+
+        if (errors.length) {
+            callback(errors);
         } else {
-            // skip already installed
-            callback();
+            if (!this.preloadedModules) {
+                this.writeModuleLock();
+            }
+            callback(null, {plugin: sorted.order, backend: _.keys(info.backend), info: info});
         }
-    }, this), loadCallback);
+    }, this);
+
+    var resolveNext = _.bind(function() {
+        var next = pending.shift();
+        if (!next) {
+            return done();
+        }
+        // dependencies are given by name, they may have been configured by path
+        var name = this.getModuleSpec(next.entry, next.type).name;
+        if (info[next.type][name]) {
+            return resolveNext();
+        }
+
+        this.requireModule(next.entry, next.type, update, _.bind(function(err, module,
+                moduleInfo) {
+            if (err) {
+                errors.push(err + (next.requiredBy ? ', required by ' + next.requiredBy : ''));
+                info[next.type][name] = {dependencies: []};
+                return resolveNext();
+            }
+
+            var versionErr = modules.checkApiVersion(moduleInfo.apiVersion);
+            if (versionErr) {
+                errors.push(next.type + ' ' + name + ': ' + versionErr);
+            }
+
+            info[next.type][name] = moduleInfo;
+            _.each(moduleInfo.dependencies, function(dependency) {
+                pending.push({type: 'plugin', entry: dependency, requiredBy: name});
+            });
+            resolveNext();
+        }, this));
+    }, this);
+
+    resolveNext();
 };
 
 Core.prototype.initModule = function(moduleShortName, moduleType, callback) {
     var moduleTypeCapital = moduleType.charAt(0).toUpperCase() + moduleType.slice(1);
-    var moduleName = 'nodeplayer-' + moduleType + '-' + moduleShortName;
-    var module = require(moduleName);
+    var module = this.preloadedModules ?
+        this.preloadedModules[moduleType + 's'][moduleShortName] :
+        require(this.getModuleId(moduleShortName, moduleType));
+
+    var moduleLogger = this.loggerFactory(moduleShortName);
 
-    var moduleLogger = labeledLogger(moduleShortName);
+    // handlers registered by init() before it returns or calls back belong to the
+    // module, see Player.on()
+    var initializingModule = this.initializingModule;
+    this.initializingModule = moduleShortName;
     module.init(this.player, moduleLogger, _.bind(function(err) {
+        this.initializingModule = initializingModule;
         if (!err) {
             this[moduleType + 's'][moduleShortName] = module;
             if (moduleType === 'backend') {
@@ -66,42 +635,390 @@ Core.prototype.initModule = function(moduleShortName, moduleType, callback) {
             }
 
             moduleLogger.info(moduleType + ' module initialized');
-            this.callHooks('on' + moduleTypeCapital + 'Initialized', [moduleShortName]);
+            this.player.callHooks('on' + moduleTypeCapital + 'Initialized', [moduleShortName]);
         } else {
             moduleLogger.error('while initializing: ' + err);
-            this.callHooks('on' + moduleTypeCapital + 'InitError', [moduleShortName]);
+            this.player.callHooks('on' + moduleTypeCapital + 'InitError', [moduleShortName]);
         }
         callback(err);
-    }, this.player));
+    }, this));
+    this.initializingModule = initializingModule;
 };
 
 Core.prototype.initModules = function(update, callback) {
-    async.eachSeries(['plugin', 'backend'], _.bind(function(moduleType, installCallback) {
-        // first install missing modules
-        this.installModules(config[moduleType + 's'], moduleType, update, installCallback);
-    }, this), _.bind(function() {
-        // then initialize modules, first all plugins in series, then all backends in parallel
+    callback = callback || _.noop;
+
+    this.songCache.scan(_.bind(function(err) {
+        if (err) {
+            this.logger.error('error while scanning song cache: ' + err);
+        }
+    }, this));
+
+    // find out what to load before initializing anything
+    this.resolveModules(update, _.bind(function(errors, resolved) {
+        if (errors) {
+            _.each(errors, function(err) {
+                this.logger.error(err);
+            }, this);
+            callback('unable to load modules:\n    ' + errors.join('\n    '));
+            return;
+        }
+
+        // first all plugins in series in dependency order, then all backends in parallel
         async.eachSeries(['plugin', 'backend'], _.bind(function(moduleType, typeCallback) {
             var moduleTypeCapital = moduleType.charAt(0).toUpperCase() + moduleType.slice(1);
 
             (moduleType === 'plugin' ? async.eachSeries : async.each)
-                (config[moduleType + 's'], _.bind(function(moduleName, moduleCallback) {
-                if (this.checkModule('nodeplayer-' + moduleType + '-' + moduleName)) {
-                    this.initModule(moduleName, moduleType, moduleCallback);
+                (resolved[moduleType], _.bind(function(moduleName, moduleCallback) {
+                var failed = _.reject(resolved.info[moduleType][moduleName].dependencies,
+                        function(dependency) {
+                    return this.plugins[dependency];
+                }, this);
+                if (failed.length) {
+                    this.logger.error('not initializing ' + moduleType + ' ' + moduleName +
+                            ', dependencies failed to initialize: ' + failed.join(', '));
+                    moduleCallback();
+                    return;
                 }
-            }, this), _.bind(function(err) {
-                logger.info('all ' + moduleType + ' modules initialized');
-                this.callHooks('on' + moduleTypeCapital + 'sInitialized');
+
+                // errors are logged by initModule, other modules are still initialized
+                this.initModule(moduleName, moduleType, function() {
+                    moduleCallback();
+                });
+            }, this), _.bind(function() {
+                this.logger.info('all ' + moduleType + ' modules initialized');
+                this.player.callHooks('on' + moduleTypeCapital + 'sInitialized');
                 typeCallback();
-            }, this.player));
-        }, this), function() {
+            }, this));
+        }, this), _.bind(function() {
+            this.modulesInitialized = true;
+
+            if (this.config.controlSocket) {
+                this.controlServer = new control.ControlServer({
+                    core: this,
+                    path: control.getSocketPath(this.baseDir),
+                    logger: this.logger
+                });
+                this.controlServer.listen(_.bind(function(err) {
+                    if (err) {
+                        this.logger.error('unable to listen on control socket: ' + err);
+                    }
+                }, this));
+            }
+
+            this.startReplication();
+
+            if (this.watchConfig && this.config.watchConfig) {
+                this.configWatcher = nodeplayerConfig.watchConfig(this.reloadConfig);
+            }
+
+            // start preparing songs that were restored into queues
+            _.each(this.zones, function(player) {
+                if (player.queue.length) {
+                    player.onQueueModify();
+                }
+                player.autoDJ.start();
+            });
             callback();
-        });
+        }, this));
+    }, this));
+};
+
+Core.prototype.getModule = function(moduleShortName, moduleType) {
+    return this[moduleType + 's'][moduleShortName] || null;
+};
+
+// install (if needed) and initialize a module while running. entry is given
+// like in the config, see modules.parseModuleSpec(). callback is called with
+// an error if the module couldn't be loaded
+Core.prototype.loadModule = function(entry, moduleType, callback) {
+    callback = callback || _.noop;
+    var moduleShortName = this.getModuleSpec(entry, moduleType).name;
+
+    if (this.getModule(moduleShortName, moduleType)) {
+        callback(moduleType + ' already loaded: ' + moduleShortName);
+        return;
+    }
+
+    this.requireModule(entry, moduleType, false, _.bind(function(err, module, info) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        err = modules.checkApiVersion(info.apiVersion);
+        if (err) {
+            callback(moduleType + ' ' + moduleShortName + ': ' + err);
+            return;
+        }
+
+        var missing = _.reject(info.dependencies, function(dependency) {
+            return this.plugins[dependency];
+        }, this);
+        if (missing.length) {
+            callback(moduleType + ' ' + moduleShortName +
+                    ' requires plugins that are not loaded: ' + missing.join(', '));
+            return;
+        }
+
+        this.initModule(moduleShortName, moduleType, _.bind(function(err) {
+            if (!err && !this.preloadedModules) {
+                this.writeModuleLock();
+            }
+            if (!err && moduleType === 'backend') {
+                // songs may have been waiting for this backend
+                this.prepareAllZones();
+            }
+            callback(err);
+        }, this));
     }, this));
 };
 
+// stop preparing songs from a backend, songs that are already prepared stay in the cache
+Core.prototype.cancelBackendSongs = function(backendName) {
+    _.each(_.values(this.songsPreparing[backendName]), function(song) {
+        this.player.cancelPreparing(song, 'backend unloaded');
+    }, this);
+};
+
+// remove songs from a backend from the queues of all zones
+Core.prototype.removeBackendSongs = function(backendName, callback) {
+    callback = callback || _.noop;
+
+    async.eachSeries(_.values(this.zones), _.bind(function(player, zoneCallback) {
+        var entryIDs = _.pluck(_.filter(player.queue, function(song) {
+            return song && song.backendName === backendName;
+        }), 'entryID');
+
+        async.eachSeries(entryIDs, _.bind(function(entryID, next) {
+            player.removeFromQueue(entryID, 1, _.bind(function(err) {
+                if (err) {
+                    this.logger.error('not removing songs of ' + backendName + ': ' + err);
+                }
+                next();
+            }, this));
+        }, this), zoneCallback);
+    }, this), function() {
+        callback();
+    });
+};
+
+// remove handlers a module registered in any zone, see Player.on()
+Core.prototype.removeModuleListeners = function(moduleShortName) {
+    _.each(this.zones, function(player) {
+        player.offModule(moduleShortName);
+    });
+};
+
+Core.prototype.prepareAllZones = function() {
+    _.each(this.zones, function(player) {
+        if (player.queue.length) {
+            player.prepareSongs();
+        }
+    });
+};
+
+// call destroy() of a module if it exports one
+Core.prototype.destroyModule = function(module, callback) {
+    if (_.isFunction(module.destroy)) {
+        module.destroy(callback);
+    } else {
+        callback();
+    }
+};
+
+// unload a module while running. unloading a backend cancels preparing its
+// songs and removes its songs from all queues. callback is called with an
+// error if the module isn't loaded or its destroy() function failed
+Core.prototype.unloadModule = function(moduleShortName, moduleType, callback) {
+    callback = callback || _.noop;
+    var moduleTypeCapital = moduleType.charAt(0).toUpperCase() + moduleType.slice(1);
+    var module = this.getModule(moduleShortName, moduleType);
+
+    if (!module) {
+        callback(moduleType + ' not loaded: ' + moduleShortName);
+        return;
+    }
+
+    // nothing may call the module after it's been destroyed
+    if (moduleType === 'backend') {
+        this.cancelBackendSongs(moduleShortName);
+        delete(this.songsPreparing[moduleShortName]);
+    }
+    delete(this[moduleType + 's'][moduleShortName]);
+    this.removeModuleListeners(moduleShortName);
+
+    var destroy = _.bind(function() {
+        this.destroyModule(module, _.bind(function(err) {
+            if (err) {
+                this.logger.error('error while unloading ' + moduleType + ' ' +
+                        moduleShortName + ': ' + err);
+            }
+
+            this.logger.info(moduleType + ' unloaded: ' + moduleShortName);
+            this.player.callHooks('on' + moduleTypeCapital + 'Unloaded', [moduleShortName]);
+            callback(err || null);
+        }, this));
+    }, this);
+
+    if (moduleType === 'backend') {
+        this.health.remove(moduleShortName);
+        this.removeBackendSongs(moduleShortName, destroy);
+    } else {
+        destroy();
+    }
+};
+
+// destroy a module and initialize it again from a freshly required copy of
+// its main file. unlike unloadModule(), songs from a reloaded backend are kept
+// in queues and prepared again once it's back. callback is called with an
+// error if the module isn't loaded or couldn't be initialized again, in which
+// case it's unloaded
+Core.prototype.reloadModule = function(moduleShortName, moduleType, callback) {
+    callback = callback || _.noop;
+    var moduleTypeCapital = moduleType.charAt(0).toUpperCase() + moduleType.slice(1);
+    var module = this.getModule(moduleShortName, moduleType);
+
+    if (!module) {
+        callback(moduleType + ' not loaded: ' + moduleShortName);
+        return;
+    }
+
+    if (moduleType === 'backend') {
+        this.cancelBackendSongs(moduleShortName);
+    }
+
+    this.destroyModule(module, _.bind(function(err) {
+        if (err) {
+            this.logger.error('error while unloading ' + moduleType + ' ' + moduleShortName +
+                    ': ' + err);
+        }
+        this.player.callHooks('on' + moduleTypeCapital + 'Unloaded', [moduleShortName]);
+        this.removeModuleListeners(moduleShortName);
+
+        if (!this.preloadedModules) {
+            var modulePath = require.resolve(this.getModuleId(moduleShortName, moduleType));
+            delete(require.cache[modulePath]);
+        }
+
+        // old module stays registered until the new one replaces it, so that
+        // its songs aren't treated as having an unknown backend meanwhile
+        this.initModule(moduleShortName, moduleType, _.bind(function(err) {
+            if (err) {
+                delete(this[moduleType + 's'][moduleShortName]);
+                if (moduleType === 'backend') {
+                    delete(this.songsPreparing[moduleShortName]);
+                    this.removeBackendSongs(moduleShortName, function() {
+                        callback(err);
+                    });
+                    return;
+                }
+            } else {
+                this.logger.info(moduleType + ' reloaded: ' + moduleShortName);
+                if (moduleType === 'backend') {
+                    this.prepareAllZones();
+                }
+            }
+            callback(err);
+        }, this));
+    }, this));
+};
+
+// apply changes made to the config file of a module while running
+Core.prototype.reloadConfig = function(moduleName) {
+    var result = nodeplayerConfig.reloadConfig(moduleName);
+    if (!result) {
+        return;
+    }
+    if (result.err) {
+        this.logger.error('not reloading configuration: ' + result.err);
+        return;
+    }
+    if (!result.changed.length) {
+        return;
+    }
+
+    if (result.restartRequired.length) {
+        this.logger.warn('restart nodeplayer to apply changes to: ' +
+                result.restartRequired.join(', '));
+    }
+    if (moduleName === 'core') {
+        _.each(_.difference(result.changed, result.restartRequired), function(key) {
+            this.config[key] = result.config[key];
+        }, this);
+
+        if (_.contains(result.changed, 'queueOrder')) {
+            _.each(this.zones, function(player) {
+                if (player.applyQueueOrder()) {
+                    player.onQueueModify();
+                }
+            });
+        }
+        if (_.contains(result.changed, 'autoDJ') ||
+                _.contains(result.changed, 'autoDJMinQueueLength')) {
+            _.each(this.zones, function(player) {
+                player.autoDJ.refill();
+            });
+        }
+        if (_.contains(result.changed, 'logLevel')) {
+            _.each(this.loggers, function(logger) {
+                labeledLogger.setLevel(logger, this.config.logLevel);
+            }, this);
+        }
+    }
+
+    this.logger.info('configuration reloaded: ' + moduleName);
+    this.player.callHooks('onConfigChange', [moduleName, result.changed, result.config]);
+};
+
+// stop playback and timers, close the control socket and stop watching
+// config files. modules are not told about this
+Core.prototype.close = function(callback) {
+    callback = callback || _.noop;
+
+    clearInterval(this.stateSaveInterval);
+    this.health.close();
+    _.each(this.zones, function(player) {
+        if (player.playbackStart) {
+            player.pausePlayback();
+        }
+        _.each(player.queue, function(song) {
+            if (song) {
+                clearTimeout(song.prepareTimeout);
+                clearTimeout(song.prepareRetryTimeout);
+            }
+        });
+    });
+    this.playHistory.close();
+
+    if (this.configWatcher) {
+        this.configWatcher.close();
+        this.configWatcher = null;
+    }
+
+    if (this.replicationFollower) {
+        this.replicationFollower.close();
+        this.replicationFollower = null;
+    }
+    if (this.replicationLeader) {
+        this.replicationLeader.close();
+        this.replicationLeader = null;
+    }
+
+    if (this.controlServer) {
+        this.controlServer.close(function() {
+            callback();
+        });
+        this.controlServer = null;
+    } else {
+        callback();
+    }
+};
+
 exports.Player = Player;
+exports.Playlists = Playlists;
 exports.labeledLogger = labeledLogger;
+exports.control = control;
 exports.config = nodeplayerConfig;
 
 exports.Core = Core;
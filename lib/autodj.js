@@ -0,0 +1,163 @@
+'use strict';
+var _ = require('underscore');
+var async = require('async');
+var Song = require('./song');
+
+// fields of songs that only make sense for the entry they were taken from
+var entryFields = ['userID', 'timeAdded', 'upVotes', 'downVotes', 'plays', 'skips'];
+
+// keeps the queue of a zone from running dry: once fewer than
+// config.autoDJMinQueueLength songs are queued (including now playing), songs
+// are picked from the sources in config.autoDJSources, in order:
+// - history: songs that have been played through more often than skipped
+// - playlists: songs in config.autoDJPlaylists, or in all playlists if empty
+// - search: search results for artists that have been played recently
+//
+// songs among the latest config.autoDJAvoidRecent played in the zone, and songs
+// that are already queued, aren't picked. picked songs are queued with
+// autoAdded set, songs queued by users go before them (see Player.addToQueue()).
+//
+// options:
+// - player: Player of the zone
+// - playHistory: PlayHistory of the core
+// - config: core config, read on every refill so that changes apply right away
+// - logger: winston logger
+function AutoDJ(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.player         = options.player;
+    this.playHistory    = options.playHistory;
+    this.config         = options.config;
+    this.logger         = options.logger;
+    this.started        = false;
+    this.refilling      = false;
+
+    this.sources = {
+        history: this.getHistorySongs,
+        playlists: this.getPlaylistSongs,
+        search: this.getSearchSongs
+    };
+
+    this.player.on('postQueueModify', this.refill, {observe: true});
+}
+
+// songs aren't picked before backends have been initialized
+AutoDJ.prototype.start = function() {
+    this.started = true;
+    this.refill();
+};
+
+AutoDJ.prototype.isActive = function() {
+    // followers play whatever the leader queues
+    return this.started && this.config.autoDJ && this.config.replicationRole !== 'follower';
+};
+
+// songs from unavailable backends couldn't be prepared
+AutoDJ.prototype.isPlayable = function(song) {
+    return !Song.validate(song) && !!this.player.backends[song.backendName] &&
+        this.player.health.isAvailable(song.backendName);
+};
+
+AutoDJ.prototype.getHistorySongs = function(callback) {
+    callback(_.shuffle(_.filter(this.playHistory.getMostPlayedSongs(), function(song) {
+        return song.plays > song.skips;
+    })));
+};
+
+AutoDJ.prototype.getPlaylistSongs = function(callback) {
+    var playlists = this.player.playlists;
+    var names = this.config.autoDJPlaylists.length ?
+        this.config.autoDJPlaylists : playlists.getPlaylistNames();
+
+    callback(_.shuffle(_.flatten(_.map(names, function(name) {
+        return playlists.getSongs(name) || [];
+    }), true)));
+};
+
+AutoDJ.prototype.getSearchSongs = function(callback) {
+    var recent = this.playHistory.getRecentlyPlayed({
+        zone: this.player.zone,
+        limit: this.config.autoDJAvoidRecent
+    });
+    var artists = _.uniq(_.compact(_.pluck(recent, 'artist')));
+    if (!artists.length) {
+        callback([]);
+        return;
+    }
+
+    this.player.searchBackends({terms: _.sample(artists), merge: true}, function(results, info) {
+        callback(_.shuffle(_.pluck(info.merged.songs, 'song')));
+    });
+};
+
+// keys of songs that shouldn't be picked
+AutoDJ.prototype.getAvoidedSongs = function() {
+    var recent = this.playHistory.getRecentlyPlayed({
+        zone: this.player.zone,
+        limit: this.config.autoDJAvoidRecent
+    });
+    var songs = _.compact(this.player.queue.concat(
+        _.last(this.player.playedQueue, this.config.autoDJAvoidRecent), recent));
+
+    return _.object(_.map(songs, function(song) {
+        return [song.backendName + '/' + song.songID, true];
+    }));
+};
+
+// queue songs if there are too few, callback is called with the queued songs
+AutoDJ.prototype.refill = function(callback) {
+    callback = _.isFunction(callback) ? callback : _.noop;
+
+    var needed = this.config.autoDJMinQueueLength - this.player.queue.length;
+    if (!this.isActive() || this.refilling || needed <= 0) {
+        callback([]);
+        return;
+    }
+
+    this.refilling = true;
+    var avoided = this.getAvoidedSongs();
+    var picked = [];
+
+    async.eachSeries(this.config.autoDJSources, _.bind(function(source, next) {
+        if (picked.length >= needed) {
+            next();
+            return;
+        }
+        if (!this.sources[source]) {
+            this.logger.warn('unknown auto-DJ source: ' + source);
+            next();
+            return;
+        }
+
+        this.sources[source](_.bind(function(songs) {
+            _.each(songs, function(song) {
+                var key = song.backendName + '/' + song.songID;
+                if (picked.length < needed && !avoided[key] && this.isPlayable(song)) {
+                    avoided[key] = true;
+                    picked.push(_.extend(_.omit(song, entryFields), {autoAdded: true}));
+                }
+            }, this);
+            next();
+        }, this));
+    }, this), _.bind(function() {
+        if (!picked.length) {
+            this.refilling = false;
+            this.logger.verbose('auto-DJ found no songs to queue');
+            callback([]);
+            return;
+        }
+
+        this.player.addToQueue(picked, null, _.bind(function(err, added) {
+            this.refilling = false;
+            added = added || [];
+            if (added.length) {
+                this.logger.info('auto-DJ queued ' + added.length + ' songs');
+                this.player.callHooks('onSongsAutoQueued', [added]);
+            }
+            callback(added);
+        }, this));
+    }, this));
+};
+
+module.exports = AutoDJ;
@@ -40,8 +40,11 @@ defaultConfig.backends = [
 
 // plugins are "everything else", most of the functionality is in plugins
 //
-// NOTE: ordering is important here, plugins that require another plugin will
-// complain if order is wrong.
+// modules can also be given as package names of installed packages or as
+// paths to module directories, see lib/modules.js
+//
+// plugins that others depend on are initialized first regardless of the order
+// here, and are loaded even if they're left out (see lib/modules.js)
 defaultConfig.plugins = [
     'storequeue',
     'express',
@@ -51,17 +54,108 @@ defaultConfig.plugins = [
     'weblistener'
 ];
 
+// names of additional playback zones, each zone has its own queue and playback state
+defaultConfig.zones = [];
+
 defaultConfig.logLevel = 'info';
 defaultConfig.logColorize = true;
 defaultConfig.logExceptions = false; // disabled for now because it looks terrible
 defaultConfig.logJson = false;
 
 defaultConfig.songCachePath = getBaseDir() + path.sep + 'song-cache';
+// least recently played songs are removed from the song cache once it exceeds
+// either limit, 0 means no limit. queued songs are never removed.
+defaultConfig.songCacheMaxBytes = 1024 * 1024 * 1024;
+defaultConfig.songCacheMaxSongs = 0;
 defaultConfig.searchResultCnt = 10;
+defaultConfig.searchTimeout = 10000; // give up waiting for a backend to return search results
+// search results from different backends are considered the same song if artist and
+// title match, and durations differ by at most this much
+defaultConfig.searchDuplicateToleranceMs = 3000;
 defaultConfig.playedQueueSize = 100;
+defaultConfig.undoHistorySize = 50; // how many queue operations can be undone, per zone
+// order songs waiting in the queue whenever songs are added or moved (see lib/queueorder.js):
+// - none: songs stay where they were added or moved to
+// - fifo: in the order they were queued
+// - roundRobin: users who queued the songs (userID) take turns
+// - votes: most upVotes minus downVotes first
+// now playing and pinned songs are never moved
+defaultConfig.queueOrder = 'none';
 defaultConfig.songDelayMs = 1000; // add delay between songs to prevent skips
 
 defaultConfig.songPrepareTimeout = 10000; // cancel preparation if no progress
+// failed or timed out preparations are retried this many times before the song
+// is removed, waiting prepareRetryDelayMs before the first retry and twice as
+// long before each next one, up to prepareRetryMaxDelayMs
+defaultConfig.prepareRetries = 3;
+defaultConfig.prepareRetryDelayMs = 1000;
+defaultConfig.prepareRetryMaxDelayMs = 30000;
+defaultConfig.prefetchDepth = 1; // how many songs after now playing to prepare
+defaultConfig.prepareConcurrency = 1; // how many songs to prepare at once
+defaultConfig.hookTimeout = 5000; // asynchronous hooks taking longer than this are errors
+
+// stop using a backend for backendCircuitCooldownMs if at least backendErrorThreshold
+// of its last backendHealthWindow searches and preparations failed, provided that
+// there were at least backendMinRequests of them (see lib/health.js)
+defaultConfig.backendHealthWindow = 20;
+defaultConfig.backendMinRequests = 5;
+defaultConfig.backendErrorThreshold = 0.5;
+defaultConfig.backendCircuitCooldownMs = 60000;
+// when a song can't be prepared, search other backends for the same song and
+// replace it in the queue instead of removing it
+defaultConfig.prepareFallback = false;
+
+// save queue, volume and playback position into the base dir and restore them on startup
+defaultConfig.persistState = true;
+defaultConfig.stateSaveIntervalMs = 5000; // how often to save playback position while playing
+
+// keep a history of played songs in the base dir, see lib/playhistory.js. it's
+// kept in memory only if disabled. oldest entries are forgotten once there are
+// more than historyMaxEntries, 0 means no limit
+defaultConfig.persistPlayHistory = true;
+defaultConfig.historyMaxEntries = 100000;
+
+// queue songs once fewer than autoDJMinQueueLength songs are queued in a zone,
+// picking from the autoDJSources in order (see lib/autodj.js):
+// - history: songs from play history that haven't mostly been skipped
+// - playlists: songs in autoDJPlaylists, or in all playlists if empty
+// - search: search results for recently played artists
+// songs among the latest autoDJAvoidRecent played in the zone aren't picked
+defaultConfig.autoDJ = false;
+defaultConfig.autoDJMinQueueLength = 3;
+defaultConfig.autoDJSources = ['history', 'playlists', 'search'];
+defaultConfig.autoDJPlaylists = [];
+defaultConfig.autoDJAvoidRecent = 50;
+
+// listen for commands from bin/nodeplayer on a local socket in the base dir
+defaultConfig.controlSocket = true;
+
+// play the same queues as another instance. the leader listens for followers
+// on replicationHost:replicationPort, followers connect to it there and replicate
+// its queue and playback operations (see lib/replication.js)
+defaultConfig.replicationRole = 'none'; // 'none', 'leader' or 'follower'
+defaultConfig.replicationHost = '127.0.0.1';
+defaultConfig.replicationPort = 4766;
+defaultConfig.replicationSyncIntervalMs = 2000; // how often the leader sends playback positions
+defaultConfig.replicationMaxDriftMs = 500; // followers seek if they're off by more than this
+defaultConfig.replicationReconnectMs = 5000;
+defaultConfig.opLogSize = 1000; // operations kept for followers catching up after reconnecting
+
+// apply changes to config files while running, see `live` in the schema below
+defaultConfig.watchConfig = true;
+
+// never run npm, modules must already be installed or be given as paths
+defaultConfig.offline = false;
+
+// check that callers of queue and playback operations are allowed to do them,
+// by their role (see lib/permissions.js). roles maps user IDs to 'admin', 'dj'
+// or 'guest', other users are defaultRole. rolePermissions overrides what roles
+// are allowed to do, e.g. {"guest": {"skipSongs": true}}
+defaultConfig.permissions = false;
+defaultConfig.roles = {};
+defaultConfig.defaultRole = 'guest';
+defaultConfig.rolePermissions = {};
+defaultConfig.guestMaxVolume = 0.5;
 
 // hostname of the server, may be used as a default value by other plugins
 defaultConfig.hostname = os.hostname();
@@ -70,55 +164,361 @@ exports.getDefaultConfig = function() {
     return defaultConfig;
 };
 
-// path and defaults are optional, if undefined then values corresponding to core config are used
-exports.getConfig = function(moduleName, defaults) {
+// config schemas describe the type of each key, and optionally:
+// - min, max: range for numbers
+// - enum: list of allowed values
+// - items: type of array items
+// - live: the key can be changed while running by editing the config file
+var coreSchema = {
+    backends:                   {type: 'array', items: 'string'},
+    plugins:                    {type: 'array', items: 'string'},
+    zones:                      {type: 'array', items: 'string'},
+    logLevel:                   {type: 'string', live: true,
+                                    enum: ['error', 'warn', 'info', 'verbose', 'debug', 'silly']},
+    logColorize:                {type: 'boolean'},
+    logExceptions:              {type: 'boolean'},
+    logJson:                    {type: 'boolean'},
+    songCachePath:              {type: 'string'},
+    songCacheMaxBytes:          {type: 'integer', min: 0},
+    songCacheMaxSongs:          {type: 'integer', min: 0},
+    searchResultCnt:            {type: 'integer', min: 1, live: true},
+    searchTimeout:              {type: 'integer', min: 0, live: true},
+    searchDuplicateToleranceMs: {type: 'integer', min: 0, live: true},
+    playedQueueSize:            {type: 'integer', min: 0, live: true},
+    undoHistorySize:            {type: 'integer', min: 0, live: true},
+    queueOrder:                 {type: 'string', live: true,
+                                    enum: ['none', 'fifo', 'roundRobin', 'votes']},
+    songDelayMs:                {type: 'integer', min: 0, live: true},
+    songPrepareTimeout:         {type: 'integer', min: 1, live: true},
+    prepareRetries:             {type: 'integer', min: 0, live: true},
+    prepareRetryDelayMs:        {type: 'integer', min: 0, live: true},
+    prepareRetryMaxDelayMs:     {type: 'integer', min: 0, live: true},
+    prefetchDepth:              {type: 'integer', min: 0, live: true},
+    prepareConcurrency:         {type: 'integer', min: 1, live: true},
+    hookTimeout:                {type: 'integer', min: 1, live: true},
+    backendHealthWindow:        {type: 'integer', min: 1, live: true},
+    backendMinRequests:         {type: 'integer', min: 1, live: true},
+    backendErrorThreshold:      {type: 'number', min: 0, max: 1, live: true},
+    backendCircuitCooldownMs:   {type: 'integer', min: 0, live: true},
+    prepareFallback:            {type: 'boolean', live: true},
+    persistState:               {type: 'boolean'},
+    stateSaveIntervalMs:        {type: 'integer', min: 1},
+    persistPlayHistory:         {type: 'boolean'},
+    historyMaxEntries:          {type: 'integer', min: 0},
+    autoDJ:                     {type: 'boolean', live: true},
+    autoDJMinQueueLength:       {type: 'integer', min: 1, live: true},
+    autoDJSources:              {type: 'array', items: 'string', live: true},
+    autoDJPlaylists:            {type: 'array', items: 'string', live: true},
+    autoDJAvoidRecent:          {type: 'integer', min: 0, live: true},
+    controlSocket:              {type: 'boolean'},
+    watchConfig:                {type: 'boolean'},
+    replicationRole:            {type: 'string', enum: ['none', 'leader', 'follower']},
+    replicationHost:            {type: 'string'},
+    replicationPort:            {type: 'integer', min: 0, max: 65535},
+    replicationSyncIntervalMs:  {type: 'integer', min: 1},
+    replicationMaxDriftMs:      {type: 'integer', min: 0},
+    replicationReconnectMs:     {type: 'integer', min: 0},
+    opLogSize:                  {type: 'integer', min: 1},
+    offline:                    {type: 'boolean'},
+    permissions:                {type: 'boolean', live: true},
+    roles:                      {type: 'object', live: true},
+    defaultRole:                {type: 'string', enum: ['admin', 'dj', 'guest'], live: true},
+    rolePermissions:            {type: 'object', live: true},
+    guestMaxVolume:             {type: 'number', min: 0, max: 1, live: true},
+    hostname:                   {type: 'string'}
+};
+
+exports.getCoreSchema = function() {
+    return coreSchema;
+};
+
+var isType = {
+    string: _.isString,
+    number: function(value) {
+        return _.isNumber(value) && !_.isNaN(value);
+    },
+    integer: function(value) {
+        return _.isNumber(value) && value % 1 === 0;
+    },
+    boolean: _.isBoolean,
+    array: _.isArray,
+    object: function(value) {
+        return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+    }
+};
+
+// levenshtein distance, for suggesting keys in place of misspelled ones
+var editDistance = function(a, b) {
+    var prev = _.range(b.length + 1);
+
+    for (var i = 1; i <= a.length; i++) {
+        var cur = [i];
+        for (var j = 1; j <= b.length; j++) {
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1,
+                    prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = cur;
+    }
+
+    return prev[b.length];
+};
+
+// returns an array of errors, empty if config matches schema
+exports.validateConfig = function(config, schema) {
+    var errors = [];
+
+    _.each(config, function(value, key) {
+        var rule = schema[key];
+        if (!rule) {
+            var suggestion = _.find(_.keys(schema), function(schemaKey) {
+                return editDistance(key.toLowerCase(), schemaKey.toLowerCase()) <= 2;
+            });
+            errors.push('unknown key "' + key + '"' +
+                    (suggestion ? ', did you mean "' + suggestion + '"?' : ''));
+            return;
+        }
+
+        var got = ', got ' + JSON.stringify(value);
+        if (!isType[rule.type](value)) {
+            errors.push('"' + key + '" should be of type ' + rule.type + got);
+        } else if (rule.items && _.reject(value, isType[rule.items]).length) {
+            errors.push('"' + key + '" should only contain items of type ' + rule.items + got);
+        } else if (rule.enum && !_.contains(rule.enum, value)) {
+            errors.push('"' + key + '" should be one of ' + rule.enum.join(', ') + got);
+        } else if (!_.isUndefined(rule.min) && value < rule.min) {
+            errors.push('"' + key + '" should be at least ' + rule.min + got);
+        } else if (!_.isUndefined(rule.max) && value > rule.max) {
+            errors.push('"' + key + '" should be at most ' + rule.max + got);
+        }
+    });
+
+    return errors;
+};
+
+// overrides from the command line (bin/nodeplayer --set), by module name
+var cliOverrides = {};
+
+// set overrides given as ['key=value', 'moduleName.key=value', ...]
+// returns a truthy value (a string stating the reason) on error, null otherwise
+exports.setOverrides = function(overrides) {
+    cliOverrides = {};
+
+    var invalid = _.find(overrides, function(override) {
+        var match = /^(?:([\w-]+)\.)?(\w+)=(.*)$/.exec(override);
+        if (!match) {
+            return true;
+        }
+
+        var moduleName = match[1] || 'core';
+        cliOverrides[moduleName] = cliOverrides[moduleName] || {};
+        cliOverrides[moduleName][match[2]] = match[3];
+    });
+
+    return _.isUndefined(invalid) ? null : 'invalid override, expected key=value: ' + invalid;
+};
+
+// songDelayMs -> SONG_DELAY_MS
+var toEnvName = function(name) {
+    return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toUpperCase();
+};
+
+// name of environment variable overriding key, e.g. NODEPLAYER_SONG_DELAY_MS for
+// the core and NODEPLAYER_EXPRESS__PORT for key "port" of module "express"
+var getEnvName = function(moduleName, key) {
+    return 'NODEPLAYER_' + (moduleName === 'core' ? '' : toEnvName(moduleName) + '__') +
+        toEnvName(key);
+};
+exports.getEnvName = getEnvName;
+
+// overrides are given as strings, convert them into the type given by the
+// schema. values that can't be converted are left as strings for
+// validateConfig() to complain about
+var parseOverride = function(value, rule) {
+    var type = rule ? rule.type : null;
+
+    if (type === 'string') {
+        return value;
+    } else if (type === 'boolean') {
+        var bool = {'true': true, '1': true, 'false': false, '0': false}[value.toLowerCase()];
+        return _.isUndefined(bool) ? value : bool;
+    } else if ((type === 'number' || type === 'integer') && value.trim()) {
+        return _.isNaN(Number(value)) ? value : Number(value);
+    }
+
+    // arrays, objects, or unknown type
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+// configs loaded by getConfig(), by module name. a module gets the same
+// config object every time, so that reloadConfig() can update it in place
+var loadedConfigs = {};
+
+var getConfigPath = function(moduleName) {
+    return getConfigDir() + path.sep + moduleName + '.json';
+};
+exports.getConfigPath = getConfigPath;
+
+// read config file of module and apply overrides from environment variables
+// and the command line. throws if the result is invalid
+var loadConfig = function(moduleName, defaults, schema) {
+    var configPath = getConfigPath(moduleName);
+    var config;
+
+    try {
+        config = JSON.parse(fs.readFileSync(configPath));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw new Error('unable to parse configuration file ' + configPath + ': ' + e.message);
+        }
+        config = {};
+    }
+
+    var overrides = _.clone(cliOverrides[moduleName] || {});
+    _.each(_.union(_.keys(defaults), _.keys(schema)), function(key) {
+        var envValue = process.env[getEnvName(moduleName, key)];
+        if (!_.isUndefined(envValue) && _.isUndefined(overrides[key])) {
+            overrides[key] = envValue;
+        }
+    });
+    _.each(overrides, function(value, key) {
+        config[key] = parseOverride(value, schema && schema[key]);
+    });
+
+    if (schema) {
+        var errors = exports.validateConfig(config, schema);
+        if (errors.length) {
+            throw new Error('invalid configuration for module "' + moduleName + '" in ' +
+                    configPath + ':\n    ' + errors.join('\n    '));
+        }
+    }
+
+    return _.defaults(config, defaults);
+};
+
+// write defaults into the config file of a module, with instructions for the user
+var writeSampleConfig = function(moduleName, defaults) {
+    var configPath = getConfigPath(moduleName);
+
+    if (moduleName === 'core') {
+        // only print welcome text for core module first run
+        console.warn('Welcome to nodeplayer!');
+        console.warn('----------------------');
+    }
+    console.warn('\n=====================================================================');
+    console.warn('We couldn\'t find the user configuration file for module "' +
+            moduleName + '",');
+    console.warn('so a sample configuration file containing default settings ' +
+            'will be written into:');
+    console.warn(configPath);
+
+    mkdirp.sync(getConfigDir());
+    fs.writeFileSync(configPath, JSON.stringify(defaults, undefined, 4));
+
+    console.warn('\nFile created. Go edit it NOW!');
+    console.warn('Note that the file only needs to contain the configuration ' +
+            'variables that');
+    console.warn('you want to override from the defaults. Also note that it ' +
+            'MUST be valid JSON!');
+    console.warn('=====================================================================\n');
+};
+exports.writeSampleConfig = writeSampleConfig;
+
+// moduleName, defaults and schema are optional, if undefined then values
+// corresponding to core config are used. modules without a schema are not validated.
+// throws an error explaining what's wrong if the configuration is invalid
+exports.getConfig = function(moduleName, defaults, schema) {
     if (process.env.NODE_ENV === 'test') {
         // unit tests should always use default config
         return (defaults || defaultConfig);
     }
 
-    var configPath = getConfigDir() + path.sep + (moduleName || 'core') + '.json';
+    moduleName = moduleName || 'core';
+    defaults = defaults || defaultConfig;
+    schema = schema || (moduleName === 'core' ? coreSchema : null);
+
+    if (loadedConfigs[moduleName]) {
+        return loadedConfigs[moduleName].config;
+    }
+
+    if (!fs.existsSync(getConfigPath(moduleName))) {
+        writeSampleConfig(moduleName, defaults);
+    }
+
+    loadedConfigs[moduleName] = {
+        config: loadConfig(moduleName, defaults, schema),
+        defaults: defaults,
+        schema: schema
+    };
+
+    return loadedConfigs[moduleName].config;
+};
+
+// read the config file of a module loaded with getConfig() again. keys marked
+// live in the schema are updated in the module's config object, other keys
+// are left as they are.
+// returns null if the module has no loaded config, otherwise an object with:
+// - err: why the new configuration is invalid, nothing is updated if set
+// - changed: keys whose values changed
+// - restartRequired: changed keys that can't be updated while running
+// - config: the new configuration
+exports.reloadConfig = function(moduleName) {
+    var loaded = loadedConfigs[moduleName];
+    if (!loaded) {
+        return null;
+    }
 
+    var newConfig;
     try {
-        var userConfig = require(configPath);
-        var config = _.defaults(userConfig, defaults || defaultConfig);
-        return config;
+        newConfig = loadConfig(moduleName, loaded.defaults, loaded.schema);
     } catch (e) {
-        if (e.code === 'MODULE_NOT_FOUND') {
-            if (!moduleName) {
-                // only print welcome text for core module first run
-                console.warn('Welcome to nodeplayer!');
-                console.warn('----------------------');
-            }
-            console.warn('\n=====================================================================');
-            console.warn('We couldn\'t find the user configuration file for module "' +
-                    (moduleName || 'core') + '",');
-            console.warn('so a sample configuration file containing default settings ' +
-                    'will be written into:');
-            console.warn(configPath);
-
-            mkdirp.sync(getConfigDir());
-            fs.writeFileSync(configPath, JSON.stringify(defaults || defaultConfig, undefined, 4));
-
-            console.warn('\nFile created. Go edit it NOW!');
-            console.warn('Note that the file only needs to contain the configuration ' +
-                    'variables that');
-            console.warn('you want to override from the defaults. Also note that it ' +
-                    'MUST be valid JSON!');
-            console.warn('=====================================================================\n');
-
-            if (!moduleName) {
-                // only exit on missing core module config
-                console.warn('Exiting now. Please re-run nodeplayer when you\'re done ' +
-                        'configuring!');
-                process.exit(0);
+        return {err: e.message};
+    }
+
+    var changed = _.filter(_.union(_.keys(loaded.config), _.keys(newConfig)), function(key) {
+        return !_.isEqual(loaded.config[key], newConfig[key]);
+    });
+    var live = _.filter(changed, function(key) {
+        return loaded.schema && loaded.schema[key] && loaded.schema[key].live;
+    });
+
+    _.each(live, function(key) {
+        loaded.config[key] = newConfig[key];
+    });
+
+    return {
+        err: null,
+        changed: changed,
+        // modules without a schema handle changes in onConfigChange themselves
+        restartRequired: loaded.schema ? _.difference(changed, live) : [],
+        config: newConfig
+    };
+};
+
+// watch the config dir for changes to config files of modules loaded with
+// getConfig(), callback is called with the module name.
+// returns an fs.FSWatcher, or null if the config dir can't be watched
+exports.watchConfig = function(callback) {
+    var timeouts = {};
+
+    try {
+        return fs.watch(getConfigDir(), function(event, filename) {
+            var moduleName = filename && path.basename(String(filename), '.json');
+            if (!moduleName || path.extname(String(filename)) !== '.json' ||
+                    !loadedConfigs[moduleName]) {
+                return;
             }
 
-            return (defaults || defaultConfig);
-        } else {
-            console.warn('Unexpected error while loading configuration for module "' +
-                    (moduleName || 'core') + '":');
-            console.warn(e);
-        }
+            // editors may write files in several steps, wait for them to finish
+            clearTimeout(timeouts[moduleName]);
+            timeouts[moduleName] = setTimeout(function() {
+                callback(moduleName);
+            }, 100);
+        });
+    } catch (e) {
+        return null;
     }
 };
@@ -0,0 +1,449 @@
+'use strict';
+var _ = require('underscore');
+var fs = require('fs');
+var net = require('net');
+var path = require('path');
+var mkdirp = require('mkdirp');
+var nodeplayerConfig = require('./config');
+
+// local control socket, used by the bin/nodeplayer subcommands
+//
+// the protocol is newline delimited JSON. requests look like:
+//     {"cmd": "skip", "args": {"cnt": 2}, "zone": "default"}
+// and are answered with:
+//     {"err": null, "result": {...}}
+
+// baseDir defaults to ~/.nodeplayer
+exports.getSocketPath = function(baseDir) {
+    var defaultBaseDir = nodeplayerConfig.getBaseDir();
+    baseDir = baseDir || defaultBaseDir;
+
+    if (process.platform === 'win32') {
+        // named pipes don't live in the file system, tell them apart by base dir
+        return '\\\\.\\pipe\\nodeplayer' +
+            (baseDir === defaultBaseDir ? '' : '-' + baseDir.replace(/\W+/g, '-'));
+    } else {
+        return path.join(baseDir, 'control.sock');
+    }
+};
+
+// summary of song suitable for printing
+var songSummary = function(song) {
+    return _.pick(song, 'artist', 'title', 'album', 'duration', 'songID', 'backendName',
+            'entryID', 'prepareRetries');
+};
+
+var getStatus = function(player) {
+    var playbackState = player.getPlaybackState();
+
+    return {
+        zone: player.zone,
+        nowPlaying: playbackState.song ? songSummary(playbackState.song) : null,
+        state: playbackState.state,
+        position: playbackState.position,
+        volume: player.volume,
+        playbackMode: player.playbackMode,
+        queueLength: player.queue.length
+    };
+};
+
+// command handlers, called with the ControlServer as this
+var commands = {};
+
+commands.status = function(player, args, callback) {
+    callback(null, getStatus(player));
+};
+
+commands.queue = function(player, args, callback) {
+    callback(null, {queue: _.map(player.queue, songSummary)});
+};
+
+// songs can be added from recent search results or from the queues of this
+// zone, since backends have no way to look up a song only by its songID
+commands.add = function(player, args, callback) {
+    var song = this.findSong(player, args.backendName, args.songID);
+    if (!song) {
+        callback('song not found, search for it first: ' + args.backendName + ' ' +
+                args.songID);
+        return;
+    }
+
+    player.addToQueue([JSON.parse(JSON.stringify(song))], args.pos,
+            function(err, added, rejected) {
+        if (!err && rejected.length) {
+            err = rejected[0].err;
+        }
+        callback(err, err ? null : {added: _.map(added, songSummary)});
+    });
+};
+
+commands.skip = function(player, args, callback) {
+    player.skipSongs(_.isUndefined(args.cnt) ? 1 : parseInt(args.cnt));
+    callback(null, getStatus(player));
+};
+
+// transport commands, these return an error string or null
+_.each({
+    play: 'play',
+    pause: 'pause',
+    toggle: 'togglePause',
+    stop: 'stop'
+}, function(method, cmd) {
+    commands[cmd] = function(player, args, callback) {
+        var err = player[method]();
+        callback(err, err ? null : getStatus(player));
+    };
+});
+
+commands.seek = function(player, args, callback) {
+    var err = args.relative ? player.seekRelative(args.pos) : player.seek(args.pos);
+    callback(err, err ? null : getStatus(player));
+};
+
+commands.volume = function(player, args, callback) {
+    if (!_.isUndefined(args.volume)) {
+        var volume = parseFloat(args.volume);
+        if (_.isNaN(volume)) {
+            callback('invalid volume: ' + args.volume);
+            return;
+        }
+        player.setVolume(volume);
+    }
+    callback(null, getStatus(player));
+};
+
+commands.shuffle = function(player, args, callback) {
+    player.shuffleQueue();
+    callback(null, {queue: _.map(player.queue, songSummary)});
+};
+
+_.each(['undo', 'redo'], function(cmd) {
+    commands[cmd] = function(player, args, callback) {
+        var err = player[cmd]();
+        callback(err, err ? null : {queue: _.map(player.queue, songSummary)});
+    };
+});
+
+commands.search = function(player, args, callback) {
+    player.searchBackends({terms: args.terms, merge: true}, _.bind(function(results, info) {
+        this.searchResults = _.flatten(_.map(results, function(backendResults) {
+            return _.values(backendResults.songs);
+        }));
+
+        callback(null, {
+            songs: _.map(info.merged.songs, function(result) {
+                return songSummary(result.song);
+            }),
+            failed: _.keys(info.failed).concat(info.timedOut)
+        });
+    }, this));
+};
+
+exports.commands = _.keys(commands);
+
+// options:
+// - core: Core instance to control
+// - path: socket path, defaults to getSocketPath()
+// - logger: winston logger
+function ControlServer(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.core           = options.core;
+    this.path           = options.path      || exports.getSocketPath();
+    this.logger         = options.logger;
+    this.searchResults  = [];
+    this.server         = net.createServer(this.onConnection);
+}
+
+ControlServer.prototype.listen = function(callback) {
+    callback = callback || _.noop;
+
+    var listening = _.bind(function() {
+        this.server.removeAllListeners('error');
+        this.server.on('error', _.bind(function(err) {
+            this.logger.error('control socket error: ' + err);
+        }, this));
+
+        this.logger.info('control socket listening on ' + this.path);
+        callback();
+    }, this);
+
+    this.server.once('error', _.bind(function(err) {
+        if (err.code !== 'EADDRINUSE' || process.platform === 'win32') {
+            callback(err);
+            return;
+        }
+
+        // socket file exists, remove it unless another instance is listening on it
+        var client = net.connect(this.path, _.bind(function() {
+            client.end();
+            callback('another nodeplayer instance is listening on ' + this.path);
+        }, this));
+        client.on('error', _.bind(function() {
+            fs.unlink(this.path, _.bind(function() {
+                this.server.once('error', callback);
+                this.server.listen(this.path, listening);
+            }, this));
+        }, this));
+    }, this));
+
+    if (process.platform === 'win32') {
+        this.server.listen(this.path, listening);
+    } else {
+        mkdirp(path.dirname(this.path), _.bind(function(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            this.server.listen(this.path, listening);
+        }, this));
+    }
+};
+
+ControlServer.prototype.close = function(callback) {
+    this.server.close(callback);
+};
+
+ControlServer.prototype.onConnection = function(socket) {
+    var buf = '';
+
+    socket.setEncoding('utf8');
+    socket.on('data', _.bind(function(data) {
+        buf += data;
+
+        var lines = buf.split('\n');
+        buf = lines.pop();
+
+        _.each(lines, function(line) {
+            var request;
+            try {
+                request = JSON.parse(line);
+            } catch (e) {
+                socket.write(JSON.stringify({err: 'invalid request: ' + e.message}) + '\n');
+                return;
+            }
+
+            this.handleRequest(request, function(err, result) {
+                socket.write(JSON.stringify({err: err || null, result: result}) + '\n');
+            });
+        }, this);
+    }, this));
+    socket.on('error', _.bind(function(err) {
+        this.logger.warn('control socket error: ' + err);
+    }, this));
+};
+
+ControlServer.prototype.handleRequest = function(request, callback) {
+    if (!_.isObject(request) || _.isArray(request)) {
+        callback('invalid request');
+        return;
+    }
+
+    var player = this.core.getZone(request.zone);
+    if (!player) {
+        callback('no such zone: ' + request.zone);
+        return;
+    }
+    if (!_.has(commands, request.cmd)) {
+        callback('unknown command: ' + request.cmd);
+        return;
+    }
+
+    this.logger.verbose('control socket command: ' + request.cmd);
+
+    // a misbehaving client mustn't take down the daemon
+    callback = _.once(callback);
+    try {
+        commands[request.cmd].call(this, player, _.isObject(request.args) ? request.args : {},
+            callback);
+    } catch (e) {
+        this.logger.error('error in control socket command ' + request.cmd + ': ' + e.stack);
+        callback('error in command ' + request.cmd + ': ' + e.message);
+    }
+};
+
+// find song from recent search results, the queue or played songs
+ControlServer.prototype.findSong = function(player, backendName, songID) {
+    var match = function(song) {
+        return song && song.backendName === backendName && song.songID === songID;
+    };
+
+    return _.find(this.searchResults, match) ||
+        _.find(player.queue, match) ||
+        _.find(player.playedQueue, match) ||
+        null;
+};
+
+exports.ControlServer = ControlServer;
+
+// client side
+
+// parse time given as seconds or [hh:]mm:ss into milliseconds
+var parseTime = function(time) {
+    var secs = _.reduce(String(time).split(':'), function(total, part) {
+        return total * 60 + parseFloat(part);
+    }, 0);
+
+    return Math.round(secs * 1000);
+};
+
+var formatTime = function(ms) {
+    var secs = Math.floor((ms || 0) / 1000);
+    var mins = Math.floor(secs / 60);
+    secs = secs % 60;
+
+    return mins + ':' + (secs < 10 ? '0' : '') + secs;
+};
+
+var formatSong = function(song) {
+    return (song.artist ? song.artist + ' - ' : '') + song.title +
+        ' (' + formatTime(song.duration) + ') [' + song.backendName + ' ' + song.songID + ']' +
+        (song.prepareRetries ? ' (preparing, retry ' + song.prepareRetries + ')' : '');
+};
+
+// build a request from command line arguments, e.g. ['skip', '2']
+// returns {err: '...'} on invalid arguments
+exports.parseCommand = function(args, zone) {
+    var cmd = args[0];
+    var request = {cmd: cmd, args: {}, zone: zone};
+
+    switch (cmd) {
+        case 'status':
+        case 'queue':
+        case 'pause':
+        case 'play':
+        case 'toggle':
+        case 'stop':
+        case 'shuffle':
+        case 'undo':
+        case 'redo':
+            break;
+        case 'add':
+            if (args.length < 3) {
+                return {err: 'usage: add <backend> <songID> [pos]'};
+            }
+            request.args = {
+                backendName: String(args[1]),
+                songID: String(args[2]),
+                pos: args[3]
+            };
+            break;
+        case 'skip':
+            request.args.cnt = _.isUndefined(args[1]) ? 1 : parseInt(args[1]);
+            if (_.isNaN(request.args.cnt)) {
+                return {err: 'usage: skip [n]'};
+            }
+            break;
+        case 'seek':
+            // +ss and -ss seek relative to current position
+            var time = String(args[1]);
+            request.args.relative = time[0] === '+' || time[0] === '-';
+            request.args.pos = (time[0] === '-' ? -1 : 1) * parseTime(time.replace(/^[+-]/, ''));
+            if (_.isNaN(request.args.pos)) {
+                return {err: 'usage: seek <[+-][mm:]ss>'};
+            }
+            break;
+        case 'volume':
+            // volume is given in percent on the command line
+            if (!_.isUndefined(args[1])) {
+                request.args.volume = parseFloat(args[1]) / 100;
+                if (_.isNaN(request.args.volume)) {
+                    return {err: 'usage: volume [0-100]'};
+                }
+            }
+            break;
+        case 'search':
+            if (args.length < 2) {
+                return {err: 'usage: search <terms>'};
+            }
+            request.args.terms = args.slice(1).join(' ');
+            break;
+        default:
+            return {err: 'unknown command: ' + cmd};
+    }
+
+    return request;
+};
+
+// human readable output for command results
+exports.formatResult = function(cmd, result) {
+    if (result.queue) {
+        if (!result.queue.length) {
+            return 'queue is empty';
+        }
+        return _.map(result.queue, function(song, i) {
+            return (i ? i + '. ' : 'now playing: ') + formatSong(song);
+        }).join('\n');
+    } else if (result.songs) {
+        var lines = result.songs.length ? _.map(result.songs, formatSong) : ['no results'];
+        if (result.failed && result.failed.length) {
+            lines.push('(search failed in: ' + result.failed.join(', ') + ')');
+        }
+        return lines.join('\n');
+    } else if (result.added) {
+        return _.map(result.added, function(song) {
+            return 'added: ' + formatSong(song);
+        }).join('\n');
+    } else {
+        return [
+            'zone: ' + result.zone,
+            'now playing: ' + (result.nowPlaying ? formatSong(result.nowPlaying) : '-'),
+            'state: ' + result.state +
+                (result.nowPlaying ? ' at ' + formatTime(result.position) : ''),
+            'volume: ' + Math.round(result.volume * 100) + '%',
+            'playback mode: ' + result.playbackMode,
+            'songs in queue: ' + result.queueLength
+        ].join('\n');
+    }
+};
+
+// send a request to the control socket, callback is called with (err, result).
+// gives up after timeoutMs (defaults to 30 seconds, searches can take a while)
+exports.sendCommand = function(socketPath, request, callback, timeoutMs) {
+    var buf = '';
+    var done = false;
+    var timeout;
+
+    var finish = function(err, result) {
+        if (!done) {
+            done = true;
+            clearTimeout(timeout);
+            callback(err, result);
+        }
+    };
+
+    var socket = net.connect(socketPath, function() {
+        socket.write(JSON.stringify(request) + '\n');
+    });
+    timeout = setTimeout(function() {
+        finish('no response from ' + socketPath + ', timed out');
+        socket.destroy();
+    }, timeoutMs || 30000);
+
+    socket.setEncoding('utf8');
+    socket.on('data', function(data) {
+        buf += data;
+        if (buf.indexOf('\n') === -1) {
+            return;
+        }
+
+        socket.end();
+        try {
+            var response = JSON.parse(buf.split('\n')[0]);
+            finish(response.err, response.result);
+        } catch (e) {
+            finish('invalid response: ' + e.message);
+        }
+    });
+    socket.on('error', function(err) {
+        if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+            finish('could not connect to ' + socketPath + ', is nodeplayer running?');
+        } else {
+            finish(err.message);
+        }
+    });
+    socket.on('close', function() {
+        finish('connection closed');
+    });
+};
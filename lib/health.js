@@ -0,0 +1,157 @@
+'use strict';
+var _ = require('underscore');
+
+// tracks error rate and latency of backends, and trips a circuit breaker on
+// backends that keep failing so that they're left alone for a while.
+//
+// circuit states:
+// - closed: backend is used normally
+// - open: too many of the last config.backendHealthWindow requests failed,
+//   backend isn't used until config.backendCircuitCooldownMs has passed
+// - halfOpen: cooldown is over, the next request decides whether the circuit
+//   is closed again or opened for another cooldown
+//
+// options:
+// - config: core config, read on every call so that changes apply right away
+// - logger: winston logger
+// - onChange: function(backendName, health), called when a circuit changes state
+function BackendHealth(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.config     = options.config;
+    this.logger     = options.logger;
+    this.onChange   = options.onChange  || _.noop;
+    this.backends   = {};
+}
+
+BackendHealth.prototype.getEntry = function(backendName) {
+    if (!this.backends[backendName]) {
+        this.backends[backendName] = {
+            state: 'closed',
+            recent: [], // {ok, latency} of the latest requests, oldest first
+            successes: 0,
+            failures: 0,
+            lastError: null,
+            retryAt: null,
+            cooldownTimeout: null
+        };
+    }
+
+    return this.backends[backendName];
+};
+
+BackendHealth.prototype.setState = function(backendName, state) {
+    var entry = this.getEntry(backendName);
+    if (entry.state === state) {
+        return;
+    }
+
+    clearTimeout(entry.cooldownTimeout);
+    entry.cooldownTimeout = null;
+    entry.retryAt = null;
+    entry.state = state;
+
+    if (state === 'open') {
+        entry.retryAt = new Date().getTime() + this.config.backendCircuitCooldownMs;
+        entry.cooldownTimeout = setTimeout(_.bind(function() {
+            this.setState(backendName, 'halfOpen');
+        }, this), this.config.backendCircuitCooldownMs);
+        entry.cooldownTimeout.unref();
+
+        this.logger.warn('backend ' + backendName + ' is failing, not using it for ' +
+                this.config.backendCircuitCooldownMs + 'ms (last error: ' +
+                entry.lastError + ')');
+    } else if (state === 'closed') {
+        // start over, old failures shouldn't trip the circuit again
+        entry.recent = [];
+        this.logger.info('backend ' + backendName + ' has recovered');
+    }
+
+    this.onChange(backendName, this.getHealth(backendName));
+};
+
+BackendHealth.prototype.record = function(backendName, ok, latency) {
+    var entry = this.getEntry(backendName);
+
+    entry.recent.push({ok: ok, latency: latency});
+    while (entry.recent.length > this.config.backendHealthWindow) {
+        entry.recent.shift();
+    }
+
+    if (entry.state === 'halfOpen') {
+        this.setState(backendName, ok ? 'closed' : 'open');
+    } else if (entry.state === 'closed' && !ok) {
+        var health = this.getHealth(backendName);
+        if (entry.recent.length >= this.config.backendMinRequests &&
+                health.errorRate >= this.config.backendErrorThreshold) {
+            this.setState(backendName, 'open');
+        }
+    }
+};
+
+// to be called when a backend has successfully searched or prepared a song,
+// latency is how long that took in milliseconds
+BackendHealth.prototype.recordSuccess = function(backendName, latency) {
+    this.getEntry(backendName).successes++;
+    this.record(backendName, true, latency);
+};
+
+// to be called when a backend has failed to search or prepare a song
+BackendHealth.prototype.recordFailure = function(backendName, err, latency) {
+    var entry = this.getEntry(backendName);
+    entry.failures++;
+    entry.lastError = String(err);
+    this.record(backendName, false, latency);
+};
+
+// false if the circuit of the backend is open, i.e. it shouldn't be used now
+BackendHealth.prototype.isAvailable = function(backendName) {
+    return this.getEntry(backendName).state !== 'open';
+};
+
+// returns health of a backend as an object containing:
+// - state: circuit state, 'closed', 'open' or 'halfOpen'
+// - errorRate: ratio of failed recent requests, 0 if there are none
+// - latency: average latency of successful recent requests in ms, null if there are none
+// - successes, failures: totals since the backend was first used
+// - lastError: latest error, null if there has been none
+// - retryAt: when an open circuit will be half open, null if it isn't open
+BackendHealth.prototype.getHealth = function(backendName) {
+    var entry = this.getEntry(backendName);
+    var succeeded = _.where(entry.recent, {ok: true});
+
+    return {
+        state: entry.state,
+        errorRate: entry.recent.length ?
+            (entry.recent.length - succeeded.length) / entry.recent.length : 0,
+        latency: succeeded.length ? _.reduce(succeeded, function(total, request) {
+            return total + request.latency;
+        }, 0) / succeeded.length : null,
+        successes: entry.successes,
+        failures: entry.failures,
+        lastError: entry.lastError,
+        retryAt: entry.retryAt
+    };
+};
+
+// returns {backendName: health} of all backends that have been used
+BackendHealth.prototype.getAllHealth = function() {
+    return _.object(_.map(_.keys(this.backends), function(backendName) {
+        return [backendName, this.getHealth(backendName)];
+    }, this));
+};
+
+// forget a backend, e.g. when it's unloaded
+BackendHealth.prototype.remove = function(backendName) {
+    if (this.backends[backendName]) {
+        clearTimeout(this.backends[backendName].cooldownTimeout);
+        delete(this.backends[backendName]);
+    }
+};
+
+BackendHealth.prototype.close = function() {
+    _.each(_.keys(this.backends), this.remove);
+};
+
+module.exports = BackendHealth;
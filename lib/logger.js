@@ -1,8 +1,12 @@
 'use strict';
-var config = require('./config').getConfig();
+var _ = require('underscore');
 var winston = require('winston');
+var nodeplayerConfig = require('./config');
+
+// config defaults to the default core config
+module.exports = function(label, config) {
+    config = config || nodeplayerConfig.getDefaultConfig();
 
-module.exports = function(label) {
     return new (winston.Logger)({
         transports: [
             new (winston.transports.Console)({
@@ -15,3 +19,10 @@ module.exports = function(label) {
         ]
     });
 };
+
+// change log level of a logger created by this module
+module.exports.setLevel = function(logger, level) {
+    _.each(logger.transports, function(transport) {
+        transport.level = level;
+    });
+};
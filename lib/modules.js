@@ -0,0 +1,141 @@
+'use strict';
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var mkdirp = require('mkdirp');
+var semver = require('semver');
+var nodeplayerConfig = require('./config');
+var nodeplayerVersion = require('../package.json').version;
+
+// helpers for resolving dependencies between modules
+//
+// modules declare which plugins they depend on, and which versions of the
+// nodeplayer API they support, either in their exports:
+//     exports.dependencies = ['express'];
+//     exports.apiVersion = '^0.2.0';
+// or in the "nodeplayer" field of their package.json:
+//     "nodeplayer": {"dependencies": ["express"], "apiVersion": "^0.2.0"}
+// exports take precedence over package.json
+
+exports.getApiVersion = function() {
+    return nodeplayerVersion;
+};
+
+// returns {dependencies, apiVersion} of module, pkg is its package.json if available
+exports.getModuleInfo = function(module, pkg) {
+    var declared = (pkg && pkg.nodeplayer) || {};
+
+    return {
+        dependencies: module.dependencies || declared.dependencies || [],
+        apiVersion: module.apiVersion || declared.apiVersion || null
+    };
+};
+
+// returns a truthy value (a string stating the reason) if a module supporting
+// apiVersion can't be used with this version of nodeplayer, modules that
+// don't declare a version are assumed to be compatible
+exports.checkApiVersion = function(apiVersion) {
+    if (!apiVersion) {
+        return null;
+    }
+    if (!semver.validRange(apiVersion)) {
+        return 'invalid apiVersion: ' + apiVersion;
+    }
+    if (!semver.satisfies(nodeplayerVersion, apiVersion)) {
+        return 'requires nodeplayer API ' + apiVersion + ', this is ' + nodeplayerVersion;
+    }
+
+    return null;
+};
+
+// sort names so that every module comes after its dependencies. otherwise
+// the original order is kept. getDependencies(name) returns the dependencies
+// of a module.
+// returns {err, order}, err describes a dependency cycle if there is one
+exports.sortModules = function(names, getDependencies) {
+    var order = [];
+    var state = {}; // undefined: not visited, 1: visiting, 2: done
+    var cycle = null;
+
+    var visit = function(name, path) {
+        if (state[name] === 2 || cycle) {
+            return;
+        }
+        if (state[name] === 1) {
+            cycle = path.slice(path.indexOf(name)).concat(name);
+            return;
+        }
+
+        state[name] = 1;
+        _.each(getDependencies(name), function(dependency) {
+            visit(dependency, path.concat(name));
+        });
+        state[name] = 2;
+        order.push(name);
+    };
+
+    _.each(names, function(name) {
+        visit(name, []);
+    });
+
+    if (cycle) {
+        return {err: 'dependency cycle: ' + cycle.join(' -> '), order: null};
+    }
+
+    return {err: null, order: order};
+};
+
+// modules are listed in the config as one of:
+// - short names, e.g. "express" for the npm package nodeplayer-plugin-express
+// - package names of installed packages, e.g. "nodeplayer-plugin-express" or
+//   "@company/nodeplayer-plugin-foo", anything starting with "nodeplayer-" or "@"
+// - paths to module directories, e.g. "./plugins/foo" or "~/src/foo". relative
+//   paths are relative to baseDir
+// returns {name, packageName, path}, only one of packageName and path is set.
+// name is what the module is known as, i.e. the short name or the last part of
+// the package name or path without any nodeplayer-<type>- prefix
+exports.parseModuleSpec = function(entry, moduleType, baseDir) {
+    var prefix = 'nodeplayer-' + moduleType + '-';
+    var stripPrefix = function(name) {
+        return name.indexOf(prefix) === 0 ? name.slice(prefix.length) : name;
+    };
+
+    if (/^(\.|~|\/|\\|[a-zA-Z]:[\\\/])/.test(entry)) {
+        var modulePath = entry.replace(/^~(?=$|[\\\/])/, nodeplayerConfig.getHomeDir());
+        modulePath = path.resolve(baseDir, modulePath);
+
+        return {name: stripPrefix(path.basename(modulePath)), packageName: null, path: modulePath};
+    }
+
+    if (entry.indexOf('nodeplayer-') === 0 || entry[0] === '@') {
+        return {name: stripPrefix(entry.split('/').pop()), packageName: entry, path: null};
+    }
+
+    return {name: entry, packageName: prefix + entry, path: null};
+};
+
+// the lockfile (modules.lock.json in the core's baseDir) records which version of
+// each module was loaded, so that the same versions can be installed again:
+//     {plugin: {name: {package, path, version}}, backend: {...}}
+// where package or path is null depending on how the module was configured.
+// returns an empty lock if there is no lockfile yet
+exports.readLockfile = function(lockPath) {
+    var lock;
+    try {
+        lock = JSON.parse(fs.readFileSync(lockPath));
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw new Error('invalid module lockfile ' + lockPath + ': ' + e.message);
+        }
+    }
+
+    return _.defaults(lock || {}, {plugin: {}, backend: {}});
+};
+
+// write lock as returned by readLockfile() to lockPath, creating its directory
+// if needed. the file is replaced atomically, throws on errors
+exports.writeLockfile = function(lockPath, lock) {
+    mkdirp.sync(path.dirname(lockPath));
+    fs.writeFileSync(lockPath + '.tmp', JSON.stringify(lock, undefined, 4) + '\n');
+    fs.renameSync(lockPath + '.tmp', lockPath);
+};
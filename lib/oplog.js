@@ -0,0 +1,64 @@
+'use strict';
+var _ = require('underscore');
+var crypto = require('crypto');
+
+// ordered log of queue and playback operations of all zones, used for
+// replicating them to other instances (see lib/replication.js)
+//
+// operations are serializable objects:
+//     {seq: 12, zone: 'default', type: 'add', data: {...}, time: 1426544145629}
+// where seq increases by one for each operation. types and their data:
+// - add: {songs, pos}, songs with their entry IDs were inserted at pos
+// - remove: {entryIDs}, entries were removed
+// - order: {entryIDs}, queue was reordered into this order
+// - replace: {songs}, entries were replaced by songs with the same entry IDs
+// - skip: {cnt}, see Player.skipSongs()
+// - seek: {pos}, see Player.seek()
+// - play, pause, stop: {}, see Player.play(), Player.pause() and Player.stop()
+//
+// options:
+// - size: how many latest operations are kept for catching up
+// - onAppend: function(op), called for each new operation
+function OpLog(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.size       = options.size      || 1000;
+    this.onAppend   = options.onAppend  || _.noop;
+    // sequence numbers are only meaningful within one instance of the log
+    this.id         = crypto.randomBytes(8).toString('hex');
+    this.seq        = 0;
+    this.ops        = [];
+}
+
+// data is copied, so that later changes to e.g. songs don't show up in the log
+OpLog.prototype.append = function(zone, type, data) {
+    var op = {
+        seq: ++this.seq,
+        zone: zone,
+        type: type,
+        data: JSON.parse(JSON.stringify(data || {})),
+        time: new Date().getTime()
+    };
+
+    this.ops.push(op);
+    if (this.ops.length > this.size) {
+        this.ops.shift();
+    }
+
+    this.onAppend(op);
+    return op;
+};
+
+// returns operations after seq, or null if some of them aren't kept anymore
+OpLog.prototype.since = function(seq) {
+    if (seq > this.seq || (seq < this.seq && (!this.ops.length || this.ops[0].seq > seq + 1))) {
+        return null;
+    }
+
+    return _.filter(this.ops, function(op) {
+        return op.seq > seq;
+    });
+};
+
+module.exports = OpLog;
@@ -0,0 +1,88 @@
+'use strict';
+var _ = require('underscore');
+
+// permissions of callers of Player operations that change the queue or
+// playback, see Player.authorize(). callers are identified by their userID,
+// and have one of these roles:
+// - admin: may do anything
+// - dj: may do anything but pin songs
+// - guest: may queue songs, remove and move songs they've queued themselves, and
+//   set volume, which is capped at config.guestMaxVolume (see getMaxVolume())
+//
+// while config.queueOrder is active, songs moved in the queue are pinned (see
+// Player.moveInQueue()), so only admins may move songs then
+//
+// rules are either booleans or functions(caller, details, config) returning a
+// string stating the reason to deny the operation, null to allow it. details
+// depend on the operation, e.g. {songs} of songs about to be removed
+
+exports.roles = ['admin', 'dj', 'guest'];
+
+var ownSongs = function(caller, details) {
+    var others = _.filter(details.songs, function(song) {
+        return !song || song.userID !== caller;
+    });
+    return others.length ? 'guests can only change songs they have queued' : null;
+};
+
+// songs can only be moved if they aren't ordered by config.queueOrder, or rule allows it
+var unordered = function(rule) {
+    return function(caller, details, config) {
+        if (config.queueOrder && config.queueOrder !== 'none') {
+            return 'songs can\'t be moved manually while queueOrder is ' + config.queueOrder;
+        }
+        return rule === true ? null : rule(caller, details, config);
+    };
+};
+
+var rules = {
+    play:               {dj: true, guest: false},
+    pause:              {dj: true, guest: false},
+    stop:               {dj: true, guest: false},
+    seek:               {dj: true, guest: false},
+    skipSongs:          {dj: true, guest: false},
+    shuffleQueue:       {dj: true, guest: false},
+    setPlaybackMode:    {dj: true, guest: false},
+    undo:               {dj: true, guest: false},
+    redo:               {dj: true, guest: false},
+    setPinned:          {dj: false, guest: false},
+    addToQueue:         {dj: true, guest: true},
+    removeFromQueue:    {dj: true, guest: ownSongs},
+    moveInQueue:        {dj: unordered(true), guest: unordered(ownSongs)},
+    setVolume:          {dj: true, guest: true}
+};
+
+exports.operations = _.keys(rules);
+
+// config.roles maps user IDs to roles, everyone else is config.defaultRole
+var getRole = exports.getRole = function(config, caller) {
+    var role = config.roles[caller];
+    return _.contains(exports.roles, role) ? role : config.defaultRole;
+};
+
+// highest volume caller may set, guests are capped at config.guestMaxVolume
+// unless setVolume is overridden for them in config.rolePermissions
+exports.getMaxVolume = function(config, caller) {
+    var role = getRole(config, caller);
+    var overrides = config.rolePermissions[role] || {};
+    return role === 'guest' && !_.has(overrides, 'setVolume') ? config.guestMaxVolume : 1;
+};
+
+// returns a string stating the reason if caller may not do operation, null
+// otherwise. rules can be overridden with config.rolePermissions, e.g.
+// {"guest": {"skipSongs": true}}
+exports.check = function(config, operation, caller, details) {
+    var role = getRole(config, caller);
+    if (role === 'admin') {
+        return null;
+    }
+
+    var overrides = config.rolePermissions[role] || {};
+    var rule = _.has(overrides, operation) ? overrides[operation] :
+        (rules[operation] || {})[role];
+
+    if (_.isFunction(rule)) {
+        return rule(caller, details || {}, config);
+    }
+    return rule ? null : role + 's are not allowed to ' + operation;
+};
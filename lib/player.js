@@ -2,13 +2,29 @@
 var _ = require('underscore');
 var async = require('async');
 var labeledLogger = require('./logger');
+var Playlists = require('./playlists');
+var Song = require('./song');
+var search = require('./search');
+var BackendHealth = require('./health');
+var QueueHistory = require('./queuehistory');
+var OpLog = require('./oplog');
+var queueOrder = require('./queueorder');
+var permissions = require('./permissions');
+
+// queue entries can be referred to by their entry ID instead of their
+// position, entry IDs are never numeric
+var isEntryID = function(pos) {
+    return _.isString(pos) && _.isNaN(Number(pos));
+};
 
 function Player(options) {
     options = options || {};
 
     // TODO: some of these should NOT be loaded from config
     _.bindAll.apply(_, [this].concat(_.functions(this)));
-    this.config         = options.config            || require('./config').getConfig();
+    this.zone           = options.zone              || 'default';
+    this.core           = options.core              || null;
+    this.config         = options.config            || require('./config').getDefaultConfig();
     this.logger         = options.logger            || labeledLogger('core');
     this.playedQueue    = options.playedQueue       || [];
     this.queue          = options.queue             || [];
@@ -17,12 +33,128 @@ function Player(options) {
     this.songsPreparing = options.songsPreparing    || {};
     this.volume         = options.volume            || 1;
     this.songEndTimeout = options.songEndTimeout    || null;
+    this.playbackMode   = options.playbackMode      || 'normal';
+    this.stateStore     = options.stateStore        || null;
+    this.listeners      = {};
     this.playbackState  = {
-        // TODO: move playbackStart, playbackPosition etc here
+        // one of Player.transportStates
+        state: 'stopped',
+        // start playback as soon as now playing has been prepared
+        playWhenReady: true
     };
+    this.playlists      = options.playlists         || new Playlists({
+        path: options.playlistPath,
+        callHooks: this.callHooks,
+        logger: this.logger
+    });
+    // shared by all zones when created by Core
+    this.health         = options.health            || new BackendHealth({
+        config: this.config,
+        logger: this.logger,
+        onChange: this.onBackendHealthChange
+    });
+    this.history        = new QueueHistory({config: this.config});
+    // shared by all zones when created by Core
+    this.oplog          = options.oplog             || new OpLog({size: this.config.opLogSize});
 }
 
+// register handler for hook, in addition to hook functions exported by plugins
+// options can be a priority, or an object with the following properties:
+// - priority: handlers with higher priority are called first, plugin hook
+//   functions have priority 0. handlers with equal priority are called in
+//   the order they were registered, after plugin hook functions.
+// - observe: handler return value is ignored, i.e. it can't abort the chain
+// - async: handler takes a callback as an extra last argument when called with
+//   callHooksAsync(), see there. plugin hook functions can set fn.async instead
+// - module: name of the module registering handler, its handlers are removed
+//   when it's unloaded. defaults to the module being initialized, if any
+// hook can be '*' to observe every hook, handler is then called with the hook
+// name and arguments array before any other handlers.
+Player.prototype.on = function(hook, handler, options) {
+    if (_.isNumber(options)) {
+        options = {priority: options};
+    }
+    options = options || {};
+
+    this.listeners[hook] = this.listeners[hook] || [];
+    this.listeners[hook].push({
+        name: options.name || 'listener',
+        fn: handler,
+        priority: options.priority || 0,
+        observe: !!options.observe || hook === '*',
+        async: !!options.async,
+        module: options.module || (this.core && this.core.initializingModule) || null
+    });
+
+    return this;
+};
+
+// like on(), but handler is removed after it has been called once
+Player.prototype.once = function(hook, handler, options) {
+    var wrapper = _.bind(function() {
+        this.off(hook, wrapper);
+        return handler.apply(this, arguments);
+    }, this);
+    wrapper.listener = handler;
+
+    return this.on(hook, wrapper, options);
+};
+
+// remove handler from hook, or all handlers if handler is left out
+Player.prototype.off = function(hook, handler) {
+    if (!handler) {
+        delete(this.listeners[hook]);
+    } else {
+        this.listeners[hook] = _.reject(this.listeners[hook], function(listener) {
+            return listener.fn === handler || listener.fn.listener === handler;
+        });
+    }
+
+    return this;
+};
+
+// remove all handlers registered by module, see on()
+Player.prototype.offModule = function(module) {
+    _.each(_.keys(this.listeners), function(hook) {
+        this.listeners[hook] = _.reject(this.listeners[hook], function(listener) {
+            return listener.module === module;
+        });
+    }, this);
+
+    return this;
+};
+
+// returns handlers of hook in the order they should be called in
+Player.prototype.getHookHandlers = function(hook) {
+    var handlers = [];
+
+    _.each(this.plugins, function(plugin, pluginName) {
+        if (plugin[hook]) {
+            handlers.push({
+                name: pluginName,
+                fn: plugin[hook],
+                priority: 0,
+                observe: false,
+                async: !!plugin[hook].async
+            });
+        }
+    });
+
+    // _.sortBy() is stable, so equal priorities keep their order
+    return _.sortBy(handlers.concat(this.listeners[hook] || []), function(handler) {
+        return -handler.priority;
+    });
+};
+
+// pass hook name and arguments to wildcard listeners
+Player.prototype.callWildcardHooks = function(hook, argv) {
+    _.each(this.getHookHandlers('*'), function(handler) {
+        handler.fn.call(this, hook, argv || []);
+    }, this);
+};
+
 // call hook function in all modules
+// hook functions are called with the Player of the zone the hook fires for as this
 // if any hooks return a truthy value, it is an error and we abort
 // be very careful with calling hooks from within a hook, infinite loops are possible
 Player.prototype.callHooks = function(hook, argv) {
@@ -34,27 +166,363 @@ Player.prototype.callHooks = function(hook, argv) {
     this.logger.silly('callHooks(' + hook +
         (argv ?  ', ' + JSON.stringify(argv) + ')' : ')'));
 
-    _.find(this.plugins, function(plugin) {
-        if (plugin[hook]) {
-            err = plugin[hook].apply(null, argv);
+    this.callWildcardHooks(hook, argv);
+
+    _.find(this.getHookHandlers(hook), function(handler) {
+        var retval = handler.fn.apply(this, argv);
+        if (!handler.observe) {
+            err = retval;
             return err;
         }
-    });
+    }, this);
 
     return err;
 };
 
-// returns number of hook functions attached to given hook
-Player.prototype.numHooks = function(hook) {
-    var cnt = 0;
+// EventEmitter style alias for callHooks(), arguments are passed as is
+Player.prototype.emit = function(hook) {
+    return this.callHooks(hook, _.rest(arguments));
+};
 
-    _.find(this.plugins, function(plugin) {
-        if (plugin[hook]) {
-            cnt++;
+// like callHooks(), but for hooks that may need to do asynchronous work (e.g.
+// check a database) before deciding whether to abort. hook functions are
+// called in the same order as with callHooks(), one at a time, and may either:
+// - return a truthy value (error) like with callHooks()
+// - return a promise, which is an error if rejected
+// - take a callback as an extra last argument, and call it with an optional
+//   error. only handlers registered with {async: true} (see on()) or plugin hook
+//   functions with fn.async set are given a callback
+// the first error (veto) aborts the chain and is passed to callback. hook
+// functions not finishing within config.hookTimeout are treated as errors.
+// observers (see on()) are called without waiting for them.
+Player.prototype.callHooksAsync = function(hook, argv, callback) {
+    argv = argv || [];
+
+    this.logger.silly('callHooksAsync(' + hook +
+        (argv.length ?  ', ' + JSON.stringify(argv) + ')' : ')'));
+
+    this.callWildcardHooks(hook, argv);
+
+    async.eachSeries(this.getHookHandlers(hook), _.bind(function(handler, next) {
+        var hookFn = handler.fn;
+        var finished = false;
+        var calling = true;
+        var result = null;
+        var timeout = null;
+
+        if (handler.observe) {
+            hookFn.apply(this, argv);
+            next();
+            return;
+        }
+
+        var settle = function(err) {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timeout);
+            next(err || null);
+        };
+
+        // the rest of the chain (and callback) isn't run from within the try
+        // below, so that its exceptions aren't mistaken for errors of this hook
+        var done = function(err) {
+            if (!calling) {
+                settle(err);
+            } else if (!result) {
+                result = {err: err};
+            }
+        };
+
+        if (this.config.hookTimeout) {
+            timeout = setTimeout(_.bind(function() {
+                this.logger.warn(handler.name + ': ' + hook + ' timed out');
+                done(handler.name + ': ' + hook + ' timed out');
+            }, this), this.config.hookTimeout);
         }
+
+        try {
+            if (handler.async) {
+                hookFn.apply(this, argv.concat([done]));
+            } else {
+                var retval = hookFn.apply(this, argv);
+                if (retval && _.isFunction(retval.then)) {
+                    retval.then(function() {
+                        done();
+                    }, function(err) {
+                        done(err || handler.name + ': ' + hook + ' rejected');
+                    });
+                } else {
+                    done(retval);
+                }
+            }
+        } catch (e) {
+            done(e);
+        }
+
+        calling = false;
+        if (result) {
+            settle(result.err);
+        }
+    }, this), function(err) {
+        callback(err || null);
     });
+};
+
+// returns number of hook functions attached to given hook
+Player.prototype.numHooks = function(hook) {
+    return this.getHookHandlers(hook).length;
+};
+
+// - normal: played songs are moved from the queue to playedQueue
+// - repeatOne: now playing song is played again when it ends, skipping works as usual
+// - repeatAll: like normal, but playedQueue is queued again when the queue runs out.
+//   playedQueue isn't trimmed to config.playedQueueSize, so that all songs repeat
+// - noConsume: played songs are moved to the end of the queue instead of playedQueue
+Player.playbackModes = ['normal', 'repeatOne', 'repeatAll', 'noConsume'];
+
+Player.prototype.setPlaybackMode = function(mode, caller) {
+    var err = this.authorize('setPlaybackMode', caller, {mode: mode});
+    if (err) {
+        return err;
+    }
+    if (!_.contains(Player.playbackModes, mode)) {
+        return 'invalid playback mode: ' + mode;
+    }
+
+    var oldMode = this.playbackMode;
+    this.playbackMode = mode;
+    this.logger.info('playback mode set to ' + mode);
+    this.callHooks('onPlaybackModeChange', [mode, oldMode]);
+    this.saveState();
+
+    return null;
+};
+
+// transport states:
+// - stopped: nothing to play, or stop() was called
+// - buffering: waiting for now playing to be prepared before playback starts
+// - playing: now playing song is playing
+// - paused: pause() was called
+Player.transportStates = ['stopped', 'buffering', 'playing', 'paused'];
+
+Player.prototype.setPlaybackState = function(state) {
+    var oldState = this.playbackState.state;
+    if (state === oldState) {
+        return;
+    }
+
+    this.playbackState.state = state;
+    this.logger.verbose('playback state: ' + oldState + ' -> ' + state);
+    this.callHooks('onPlaybackStateChange', [state, oldState, this.getPlaybackState()]);
+};
+
+// returns position in now playing song in milliseconds, accurate to when this is called
+Player.prototype.getPosition = function() {
+    if (!this.queue[0]) {
+        return null;
+    }
+
+    var pos = this.playbackPosition || 0;
+    if (this.playbackStart) {
+        pos += new Date().getTime() - this.playbackStart;
+    }
+
+    return pos;
+};
+
+Player.prototype.getPlaybackState = function() {
+    var np = this.queue[0] || null;
+
+    return {
+        state: this.playbackState.state,
+        playWhenReady: this.playbackState.playWhenReady,
+        song: np,
+        position: this.getPosition(),
+        duration: np ? parseInt(np.duration) : null
+    };
+};
+
+// all transport functions below return a truthy value (a string stating the
+// reason) on error, null otherwise
+
+// start or resume playback, playback starts once now playing has been prepared
+Player.prototype.play = function(caller) {
+    var err = this.authorize('play', caller);
+    if (err) {
+        return err;
+    }
+    if (!this.queue[0]) {
+        return 'queue is empty';
+    }
+
+    this.playbackState.playWhenReady = true;
+    if (!this.playbackStart) {
+        this.setPlaybackState('buffering');
+        // starts playback if now playing is already prepared
+        this.prepareSongs();
+    }
+
+    this.logOp('play');
+    return null;
+};
+
+Player.prototype.pause = function(caller) {
+    var err = this.authorize('pause', caller);
+    if (err) {
+        return err;
+    }
+    if (!this.queue[0]) {
+        return 'nothing is playing';
+    }
+
+    this.playbackState.playWhenReady = false;
+    if (this.playbackStart) {
+        this.pausePlayback();
+    } else if (this.playbackState.state === 'buffering') {
+        this.setPlaybackState('paused');
+        this.saveState();
+    }
+
+    this.logOp('pause');
+    return null;
+};
+
+Player.prototype.togglePause = function(caller) {
+    if (this.playbackState.playWhenReady && this.playbackState.state !== 'stopped') {
+        return this.pause(caller);
+    } else {
+        return this.play(caller);
+    }
+};
+
+// stop playback, play() starts now playing from the beginning
+Player.prototype.stop = function(caller) {
+    var err = this.authorize('stop', caller);
+    if (err) {
+        return err;
+    }
+    var wasPlaying = !!this.playbackStart;
+
+    this.playbackState.playWhenReady = false;
+    this.playbackPosition = null;
+    this.playbackStart = null;
+    clearTimeout(this.songEndTimeout);
+    this.songEndTimeout = null;
+
+    if (wasPlaying) {
+        this.callHooks('onSongPause', [this.queue[0]]);
+    }
+    this.setPlaybackState('stopped');
+    this.saveState();
+
+    this.logOp('stop');
+    return null;
+};
+
+// seek to pos milliseconds in now playing song, playback continues from pos
+// if playing, otherwise from pos once playback starts
+Player.prototype.seek = function(pos, caller) {
+    var err = this.authorize('seek', caller, {pos: pos});
+    if (err) {
+        return err;
+    }
+    var np = this.queue[0];
+    if (!np) {
+        return 'nothing is playing';
+    }
+
+    pos = parseInt(pos);
+    if (_.isNaN(pos) || pos < 0 || pos > parseInt(np.duration)) {
+        return 'invalid position: ' + pos;
+    }
+
+    if (this.playbackStart) {
+        this.startPlayback(pos);
+    } else {
+        this.playbackPosition = pos;
+        this.callHooks('onSongSeek', [np]);
+        this.saveState();
+    }
+
+    this.logOp('seek', {pos: pos});
+    return null;
+};
+
+// seek ms milliseconds forward, or backward if negative. the resulting
+// position is clamped to the song
+Player.prototype.seekRelative = function(ms, caller) {
+    var np = this.queue[0];
+    if (!np) {
+        return 'nothing is playing';
+    }
 
-    return cnt;
+    ms = parseInt(ms);
+    if (_.isNaN(ms)) {
+        return 'invalid offset: ' + ms;
+    }
+
+    return this.seek(Math.min(Math.max(0, this.getPosition() + ms), parseInt(np.duration)),
+            caller);
+};
+
+// returns a snapshot of the player state, suitable for sending to clients
+Player.prototype.getState = function() {
+    return {
+        queue: this.queue,
+        playedQueue: this.playedQueue,
+        volume: this.volume,
+        playbackMode: this.playbackMode,
+        playbackState: this.playbackState.state,
+        playWhenReady: this.playbackState.playWhenReady,
+        playbackPosition: this.playbackPosition,
+        playbackStart: this.playbackStart
+    };
+};
+
+// journal current state to disk, if a state store was configured
+Player.prototype.saveState = function() {
+    if (this.stateStore) {
+        this.stateStore.save(this.getState());
+    }
+};
+
+// restore a state previously saved with saveState(). playback position is
+// restored into playbackPosition, which startPlayback() will resume from once
+// the now playing song has been prepared
+Player.prototype.restoreState = function(state) {
+    if (!state) {
+        return;
+    }
+
+    this.queue = Song.restore(state.queue);
+    this.playedQueue = Song.restore(state.playedQueue);
+    if (_.isNumber(state.volume)) {
+        this.volume = state.volume;
+    }
+    if (_.contains(Player.playbackModes, state.playbackMode)) {
+        this.playbackMode = state.playbackMode;
+    }
+
+    // account for time played between playback start and taking the snapshot
+    var pos = state.playbackPosition || 0;
+    if (state.playbackStart && state.savedAt) {
+        pos += state.savedAt - state.playbackStart;
+    }
+
+    this.playbackPosition = this.queue.length ? pos : null;
+    this.playbackStart = null;
+
+    // songs start playing once prepared, unless playback was paused or stopped
+    this.playbackState.playWhenReady = state.playWhenReady !== false;
+    if (this.queue.length && !this.playbackState.playWhenReady) {
+        this.setPlaybackState(state.playbackState === 'stopped' ? 'stopped' : 'paused');
+    }
+
+    this.logger.info('restored player state: ' + this.queue.length + ' songs in queue' +
+            (this.playbackPosition ? ', resuming from pos: ' + this.playbackPosition : ''));
+    this.callHooks('onStateRestored', [this.getState()]);
 };
 
 Player.prototype.endOfSong = function() {
@@ -63,14 +531,25 @@ Player.prototype.endOfSong = function() {
     this.logger.info('end of song ' + np.songID);
     this.callHooks('onSongEnd', [np]);
 
-    this.playedQueue.push(this.queue[0]);
-    this.playedQueue = _.last(this.playedQueue, this.config.playedQueueSize);
+    if (this.playbackMode === 'noConsume') {
+        this.queue.push(np);
+    } else if (this.playbackMode !== 'repeatOne') {
+        this.playedQueue.push(np);
+        this.trimPlayedQueue();
+    }
 
     this.playbackPosition = null;
     this.playbackStart = null;
-    this.queue[0] = null;
+    if (this.playbackMode !== 'repeatOne') {
+        this.queue[0] = null;
+    }
     this.songEndTimeout = null;
     this.onQueueModify();
+
+    if (this.playbackMode === 'noConsume') {
+        // ended song went to the end of the queue
+        this.logOp('order', {entryIDs: this.getEntryIDs()});
+    }
 };
 
 // start or resume playback of now playing song.
@@ -90,6 +569,7 @@ Player.prototype.startPlayback = function(pos) {
 
     var oldPlaybackStart = this.playbackStart;
     this.playbackStart = new Date().getTime(); // song is playing while this is truthy
+    this.playbackState.playWhenReady = true;
 
     // where did the song start playing from at playbackStart?
     if (!_.isUndefined(pos) && !_.isNull(pos)) {
@@ -111,19 +591,24 @@ Player.prototype.startPlayback = function(pos) {
         this.songEndTimeout = null;
     }
     this.songEndTimeout = setTimeout(this.endOfSong, durationLeft);
+    this.setPlaybackState('playing');
+    this.saveState();
 };
 
 Player.prototype.pausePlayback = function() {
     // update position
-    this.playbackPosition += new Date().getTime() - this.playbackStart;
+    if (this.playbackStart) {
+        this.playbackPosition += new Date().getTime() - this.playbackStart;
+    }
     this.playbackStart = null;
 
     clearTimeout(this.songEndTimeout);
     this.songEndTimeout = null;
-    this.callHooks('onSongPause', [this.nowPlaying]);
+    this.callHooks('onSongPause', [this.queue[0]]);
+    this.setPlaybackState('paused');
+    this.saveState();
 };
 
-// TODO: proper song object with constructor?
 Player.prototype.setPrepareTimeout = function(song) {
     if (song.prepareTimeout) {
         clearTimeout(song.prepareTimeout);
@@ -134,14 +619,116 @@ Player.prototype.setPrepareTimeout = function(song) {
         song.cancelPrepare('prepare timeout');
         song.prepareTimeout = null;
     }, this), this.config.songPrepareTimeout);
+};
 
-    Object.defineProperty(song, 'prepareTimeout', {
-        enumerable: false,
-        writable: true
-    });
+// called when the circuit of a backend changes state, see lib/health.js
+Player.prototype.onBackendHealthChange = function(backendName, health) {
+    this.callHooks('onBackendHealthChange', [backendName, health]);
+
+    // songs from the backend may have been waiting for it
+    if (health.state === 'halfOpen' && this.queue.length) {
+        this.prepareSongs();
+    }
+};
+
+// search the other backends for the same song, see search.isDuplicate().
+// callback is called with the best matching search result or null. songs
+// without both an artist and a title can't be told apart from other songs,
+// they're never substituted
+Player.prototype.findSubstitute = function(song, callback) {
+    var backends = _.filter(_.keys(this.backends), function(backendName) {
+        return backendName !== song.backendName && this.health.isAvailable(backendName);
+    }, this);
+    if (!backends.length || !search.normalizeString(song.artist) ||
+            !search.normalizeString(song.title)) {
+        callback(null);
+        return;
+    }
+
+    this.searchBackends({
+        terms: _.compact([song.artist, song.title]).join(' '),
+        backends: backends,
+        merge: true
+    }, _.bind(function(results, info) {
+        var match = _.find(_.pluck(info.merged.songs, 'song'), function(result) {
+            return result.backendName !== song.backendName && !Song.validate(result) &&
+                search.isDuplicate(song, result, this.config.searchDuplicateToleranceMs);
+        }, this);
+        callback(match || null);
+    }, this));
+};
+
+// replace queue entries of a song that can't be prepared with the same song
+// from another backend. entries keep their entry IDs and fields that the
+// search result doesn't have, e.g. userID. callback is called with the
+// replaced entries, which is empty if no match was found
+Player.prototype.substituteSong = function(song, callback) {
+    this.findSubstitute(song, _.bind(function(match) {
+        var substituted = [];
+        var substitutes = [];
+
+        _.each(this.queue, function(entry, i) {
+            if (!entry || entry.songID !== song.songID ||
+                    entry.backendName !== song.backendName || entry.beingDeleted) {
+                return;
+            }
+            entry.substitutePending = false;
+            if (!match) {
+                return;
+            }
+
+            var substitute = new Song(_.extend({}, entry, _.omit(match, 'score')),
+                    entry.entryID);
+            substitute.timeAdded = entry.timeAdded;
+            this.queue[i] = substitute;
+            substituted.push(entry);
+            substitutes.push(substitute);
+
+            if (i === 0) {
+                // now playing was replaced
+                this.resetNowPlaying();
+            }
+
+            this.logger.info('substituting ' + song.backendName + ' ' + song.songID + ' with ' +
+                    substitute.backendName + ' ' + substitute.songID);
+            this.callHooks('onSongSubstitute', [entry, substitute]);
+        }, this);
+
+        if (substituted.length) {
+            this.onQueueModify();
+            this.logOp('replace', {songs: substitutes});
+        }
+        callback(substituted);
+    }, this));
 };
 
 Player.prototype.prepareError = function(song, err) {
+    if (this.config.prepareFallback) {
+        this.callHooks('onSongPrepareError', [song, err]);
+        this.logger.error('preparing song failed! (' + err + '), looking for it elsewhere: ' +
+                song.songID);
+
+        // no preparing until it's known whether the song is replaced
+        _.each(this.queue, function(entry) {
+            if (entry && entry.songID === song.songID && entry.backendName === song.backendName) {
+                Song.hideInternalState(entry);
+                entry.substitutePending = true;
+            }
+        });
+
+        this.substituteSong(song, _.bind(function(substituted) {
+            if (!substituted.length) {
+                this.removeSongEntries(song, err);
+            }
+        }, this));
+        return;
+    }
+
+    this.removeSongEntries(song, err);
+    this.callHooks('onSongPrepareError', [song, err]);
+};
+
+Player.prototype.removeSongEntries = function(song, err) {
     // remove all instances of this song
     for (var i = this.queue.length - 1; i >= 0; i--) {
         if (this.queue[i].songID === song.songID &&
@@ -153,19 +740,18 @@ Player.prototype.prepareError = function(song, err) {
             }
         }
     }
-
-    this.callHooks('onSongPrepareError', [song, err]);
 };
 
 Player.prototype.prepareProgCallback = function(song, newData, done, asyncCallback) {
     /* progress callback
      * when this is called, new song data has been flushed to disk */
 
+    if (song.prepareCancelled) {
+        // backend didn't stop preparing after cancelPreparing()
+        return;
+    }
+
     // append new song data to buffer
-    Object.defineProperty(song, 'songData', {
-        enumerable: false,
-        writable: true
-    });
     if (newData) {
         song.songData = song.songData ? Buffer.concat([song.songData, newData]) : newData;
     } else if (!song.songData) {
@@ -176,7 +762,7 @@ Player.prototype.prepareProgCallback = function(song, newData, done, asyncCallba
     if (this.queue[0] &&
             this.queue[0].backendName === song.backendName &&
             this.queue[0].songID === song.songID &&
-            !this.playbackStart && newData) {
+            !this.playbackStart && this.playbackState.playWhenReady && newData) {
         this.startPlayback();
     }
 
@@ -185,11 +771,14 @@ Player.prototype.prepareProgCallback = function(song, newData, done, asyncCallba
     this.callHooks('onPrepareProgress', [song, newData, done]);
 
     if (done) {
+        this.health.recordSuccess(song.backendName, new Date().getTime() - song.prepareStart);
+
         // mark song as prepared
         this.callHooks('onSongPrepared', [song]);
 
         // done preparing, can't cancel anymore
-        delete(song.cancelPrepare);
+        song.cancelPrepare = null;
+        delete(song.prepareRetries);
 
         // song data should now be available on disk, don't keep it in memory
         this.songsPreparing[song.backendName][song.songID].songData = undefined;
@@ -209,22 +798,63 @@ Player.prototype.prepareProgCallback = function(song, newData, done, asyncCallba
 Player.prototype.prepareErrCallback = function(song, err, asyncCallback) {
     /* error callback */
 
+    if (song.prepareCancelled) {
+        // cancelled by cancelPreparing(), which has already cleaned up
+        song.prepareCancelled = false;
+        return;
+    }
+
+    this.health.recordFailure(song.backendName, err, new Date().getTime() - song.prepareStart);
+
     // don't let anything run cancelPrepare anymore
-    delete(song.cancelPrepare);
+    song.cancelPrepare = null;
 
     // clear prepare timeout
     clearTimeout(song.prepareTimeout);
     song.prepareTimeout = null;
 
-    // abort preparing more songs; current song will be deleted ->
-    // onQueueModified is called -> song preparation is triggered again
+    // abort preparing more songs; current song will be retried later or
+    // deleted -> onQueueModified is called -> song preparation is triggered again
     asyncCallback(true);
 
+    if (!song.beingDeleted && (song.prepareRetries || 0) < this.config.prepareRetries) {
+        song.songData = undefined;
+        if (this.songsPreparing[song.backendName][song.songID] === song) {
+            delete(this.songsPreparing[song.backendName][song.songID]);
+        }
+
+        this.retryPrepare(song, err);
+        return;
+    }
+
     // TODO: investigate this, should probably be above asyncCallback
     this.prepareError(song, err);
 
     song.songData = undefined;
-    delete(this.songsPreparing[song.backendName][song.songID]);
+    if (this.songsPreparing[song.backendName][song.songID] === song) {
+        delete(this.songsPreparing[song.backendName][song.songID]);
+    }
+};
+
+// prepare song again after config.prepareRetryDelayMs, doubling the delay on
+// each retry up to config.prepareRetryMaxDelayMs
+Player.prototype.retryPrepare = function(song, err) {
+    song.prepareRetries = (song.prepareRetries || 0) + 1;
+
+    var delay = Math.min(this.config.prepareRetryMaxDelayMs,
+            this.config.prepareRetryDelayMs * Math.pow(2, song.prepareRetries - 1));
+
+    this.logger.warn('preparing song failed (' + err + '), retry ' + song.prepareRetries + '/' +
+            this.config.prepareRetries + ' in ' + delay + 'ms: ' + song.songID);
+
+    song.prepareRetryTimeout = setTimeout(_.bind(function() {
+        song.prepareRetryTimeout = null;
+        if (_.contains(this.queue, song)) {
+            this.prepareSongs();
+        }
+    }, this), delay);
+
+    this.callHooks('onSongPrepareRetry', [song, err, song.prepareRetries, delay]);
 };
 
 // TODO: get rid of the callback hell, use promises?
@@ -239,13 +869,18 @@ Player.prototype.prepareSong = function(song, asyncCallback) {
         asyncCallback(true);
         return;
     }
+    if (song.substitutePending || song.prepareRetryTimeout) {
+        // failed already, waiting for findSubstitute() or the next retry
+        asyncCallback(true);
+        return;
+    }
 
     if (this.backends[song.backendName].isPrepared(song)) {
         // start playback if it hasn't been started yet
         if (this.queue[0] &&
                 this.queue[0].backendName === song.backendName &&
                 this.queue[0].songID === song.songID &&
-                !this.playbackStart) {
+                !this.playbackStart && this.playbackState.playWhenReady) {
             this.startPlayback();
         }
 
@@ -254,10 +889,24 @@ Player.prototype.prepareSong = function(song, asyncCallback) {
     } else if (this.songsPreparing[song.backendName][song.songID]) {
         // this song is already preparing, so don't yet prepare next song
         asyncCallback(true);
+    } else if (!this.health.isAvailable(song.backendName)) {
+        // circuit breaker tripped, wait until the backend is tried again
+        // unless the song can be found elsewhere
+        this.logger.debug('not preparing ' + song.songID + ', backend ' + song.backendName +
+                ' is unavailable');
+        if (this.config.prepareFallback) {
+            Song.hideInternalState(song);
+            song.substitutePending = true;
+            this.substituteSong(song, _.noop);
+        }
+        asyncCallback(true);
     } else {
         // song is not prepared and not currently preparing: let backend prepare it
         this.logger.debug('DEBUG: prepareSong() ' + song.songID);
         this.songsPreparing[song.backendName][song.songID] = song;
+        Song.hideInternalState(song);
+        song.prepareCancelled = false;
+        song.prepareStart = new Date().getTime();
 
         song.cancelPrepare = this.backends[song.backendName].prepareSong(
             song,
@@ -269,26 +918,104 @@ Player.prototype.prepareSong = function(song, asyncCallback) {
     }
 };
 
-// prepare now playing and queued songs for playback
+// returns number of songs currently being prepared, in all backends
+Player.prototype.numPreparing = function() {
+    return _.reduce(this.songsPreparing, function(cnt, backendSongs) {
+        return cnt + _.size(backendSongs);
+    }, 0);
+};
+
+// stop preparing song without removing it from the queue, it will be
+// prepared again later if needed
+Player.prototype.cancelPreparing = function(song, reason) {
+    this.logger.debug('cancel preparing ' + song.songID + ': ' + reason);
+
+    // signal prepareErrCallback that this is not an error
+    Song.hideInternalState(song);
+    song.prepareCancelled = true;
+
+    clearTimeout(song.prepareTimeout);
+    song.prepareTimeout = null;
+    song.songData = undefined;
+    delete(this.songsPreparing[song.backendName][song.songID]);
+
+    var cancelPrepare = song.cancelPrepare;
+    song.cancelPrepare = null;
+    if (cancelPrepare) {
+        cancelPrepare(reason);
+    }
+};
+
+// whether song is now playing or among the next config.prefetchDepth songs
+Player.prototype.isInPrefetchWindow = function(song) {
+    var windowSize = Math.min(this.queue.length, this.config.prefetchDepth + 1);
+    for (var i = 0; i < windowSize; i++) {
+        if (this.queue[i] && this.queue[i].songID === song.songID &&
+                this.queue[i].backendName === song.backendName) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// returns number of other zones waiting for song, which is being prepared
+// by this zone. preparation is shared, so it's only cancelled once none are left
+Player.prototype.countPrepareWaiters = function(song) {
+    return _.filter(this.core ? this.core.zones : {}, function(player) {
+        return player !== this && player.isInPrefetchWindow(song);
+    }, this).length;
+};
+
+// prepare now playing and up to config.prefetchDepth next songs for playback.
+// at most config.prepareConcurrency songs are prepared at once, now playing
+// is prepared first and regardless of the limit.
 Player.prototype.prepareSongs = function() {
-    async.series([
-        _.bind(function(callback) {
-            // prepare now-playing song if it exists and if not prepared
-            if (this.queue[0]) {
-                this.prepareSong(this.queue[0], callback);
-            } else {
-                callback(true);
+    var windowSize = Math.min(this.queue.length, this.config.prefetchDepth + 1);
+
+    // cancel preparing our songs that are no longer within the prefetch window.
+    // songs of other zones are not in our queue and won't be touched.
+    _.each(this.songsPreparing, function(backendSongs) {
+        _.each(_.values(backendSongs), function(song) {
+            if (_.contains(this.queue, song) && !this.isInPrefetchWindow(song) &&
+                    !this.countPrepareWaiters(song)) {
+                this.cancelPreparing(song, 'outside prefetch window');
             }
-        }, this),
-        _.bind(function(callback) {
-            // prepare next song in queue if it exists and if not prepared
-            if (this.queue[1]) {
-                this.prepareSong(this.queue[1], callback);
-            } else {
-                callback(true);
+        }, this);
+    }, this);
+
+    for (var i = 0; i < windowSize; i++) {
+        var song = this.queue[i];
+        if (song) {
+            this.prefetchSong(song, i === 0);
+        }
+
+        // queue was modified while preparing (e.g. song removed due to error),
+        // in which case prepareSongs() has already been called again
+        if (this.queue[i] !== song) {
+            break;
+        }
+    }
+};
+
+Player.prototype.prefetchSong = function(song, isNowPlaying) {
+    var backend = this.backends[song.backendName];
+
+    if (!backend || backend.isPrepared(song) ||
+            this.songsPreparing[song.backendName][song.songID]) {
+        // nothing to prepare, but prepareSong() will start playback of now
+        // playing if needed, or handle the unknown backend
+        if (isNowPlaying || !backend) {
+            this.prepareSong(song, _.noop);
+        }
+    } else if (isNowPlaying || this.numPreparing() < this.config.prepareConcurrency) {
+        // once done, see if there is more to prepare. checking isPrepared()
+        // avoids looping forever if the backend doesn't agree that it's done
+        this.prepareSong(song, _.bind(function(err) {
+            if (!err && backend.isPrepared(song)) {
+                this.prepareSongs();
             }
-        }, this)
-    ]);
+        }, this));
+    }
 };
 
 // to be called whenever the queue has been modified
@@ -303,15 +1030,40 @@ Player.prototype.onQueueModify = function() {
         this.queue.shift();
     }
 
+    // start over from the beginning of playedQueue
+    if (!this.queue.length && this.playbackMode === 'repeatAll' && this.playedQueue.length) {
+        this.logger.info('end of queue, repeating played songs');
+        this.queue = this.playedQueue;
+        this.playedQueue = [];
+        this.logOp('add', {songs: this.queue, pos: 0});
+    }
+
     if (!this.queue.length) {
-        // if the queue is now empty, do nothing
+        // if the queue is now empty, do nothing. songs queued later start playing
+        this.playbackState.playWhenReady = true;
+        this.setPlaybackState('stopped');
         this.callHooks('onEndOfQueue');
         this.logger.info('end of queue, waiting for more songs');
     } else {
-        // else prepare songs
+        // else prepare songs, playback starts once now playing is prepared
+        if (!this.playbackStart && this.playbackState.playWhenReady) {
+            this.setPlaybackState('buffering');
+        }
         this.prepareSongs();
     }
     this.callHooks('postQueueModify', [this.queue]);
+    this.saveState();
+};
+
+// returns position of queue entry with given entry ID, or -1 if not found
+Player.prototype.getEntryPos = function(entryID) {
+    for (var i = 0; i < this.queue.length; i++) {
+        if (this.queue[i] && this.queue[i].entryID === entryID) {
+            return i;
+        }
+    }
+
+    return -1;
 };
 
 // find song from queue
@@ -327,79 +1079,139 @@ Player.prototype.searchQueue = function(backendName, songID) {
 };
 
 // make a search query to backends
+//
+// callback is called with the results of each backend, and an object containing:
+// - vetoed: reasons for search results rejected by preAddSearchResult hooks,
+//   as {backendName: {songID: err}}
+// - failed: errors of backends that failed to search, as {backendName: err}
+// - timedOut: names of backends that didn't respond within config.searchTimeout
+// - unavailable: names of backends that weren't searched since their circuit
+//   breaker has tripped, see lib/health.js
+// - merged: if query.merge is set, page of results from all backends ranked by
+//   normalized score as {songs: [{song, score, duplicates}], total, offset, limit},
+//   where query.offset and query.limit select the page. duplicates contains
+//   the same song found in other backends.
+// query.backends can limit searching to some backends
 Player.prototype.searchBackends = function(query, callback) {
-    var resultCnt = 0;
     var allResults = {};
+    var info = {
+        vetoed: {},
+        failed: {},
+        timedOut: [],
+        unavailable: []
+    };
+    var backends = _.pick(this.backends, query.backends || _.keys(this.backends));
+
+    _.each(_.keys(backends), function(backendName) {
+        if (!this.health.isAvailable(backendName)) {
+            info.unavailable.push(backendName);
+            delete(backends[backendName]);
+        }
+    }, this);
+    var pending = _.keys(backends);
+
+    var finish = _.bind(function() {
+        if (query.merge) {
+            info.merged = search.paginate(
+                search.mergeResults(allResults, this.config.searchDuplicateToleranceMs),
+                query.offset, query.limit);
+        }
+        callback(allResults, info);
+    }, this);
+
+    if (!pending.length) {
+        finish();
+        return;
+    }
+
+    var backendDone = function(backendName) {
+        pending = _.without(pending, backendName);
+
+        // got results from all services?
+        if (!pending.length) {
+            finish();
+        }
+    };
+
+    _.each(backends, function(backend, backendName) {
+        var searchStart = new Date().getTime();
+        var timeout = null;
+        if (this.config.searchTimeout) {
+            timeout = setTimeout(_.bind(function() {
+                this.health.recordFailure(backendName, 'search timed out',
+                        this.config.searchTimeout);
+                this.logger.warn('search timed out in ' + backend.name);
+                info.timedOut.push(backend.name);
+                backendDone(backendName);
+            }, this), this.config.searchTimeout);
+        }
 
-    _.each(this.backends, function(backend) {
         backend.search(query, _.bind(function(results) {
-            resultCnt++;
+            clearTimeout(timeout);
+            if (!_.contains(pending, backendName)) {
+                // already timed out
+                return;
+            }
+            this.health.recordSuccess(backendName, new Date().getTime() - searchStart);
 
             // make a temporary copy of songlist, clear songlist, check
             // each song and add them again if they are ok
             var tempSongs = _.clone(results.songs);
-            allResults[backend.name] = results;
-            allResults[backend.name].songs = {};
-
-            _.each(tempSongs, function(song) {
-                var err = this.callHooks('preAddSearchResult', [song]);
-                if (!err) {
-                    allResults[backend.name].songs[song.songID] = song;
-                } else {
-                    this.logger.error('preAddSearchResult hook error: ' + err);
-                }
-            }, this);
-
-            // got results from all services?
-            if (resultCnt >= Object.keys(this.backends).length) {
-                callback(allResults);
-            }
+            var backendResults = _.extend({}, results, {songs: {}});
+
+            async.eachSeries(_.values(tempSongs), _.bind(function(song, next) {
+                this.callHooksAsync('preAddSearchResult', [song], _.bind(function(err) {
+                    if (!err) {
+                        backendResults.songs[song.songID] = song;
+                    } else {
+                        this.logger.error('preAddSearchResult hook error: ' + err);
+                        info.vetoed[backend.name] = info.vetoed[backend.name] || {};
+                        info.vetoed[backend.name][song.songID] = err;
+                    }
+                    next();
+                }, this));
+            }, this), function() {
+                allResults[backend.name] = backendResults;
+                backendDone(backendName);
+            });
         }, this), _.bind(function(err) {
-            resultCnt++;
+            clearTimeout(timeout);
             this.logger.error('error while searching ' + backend.name + ': ' + err);
-
-            // got results from all services?
-            if (resultCnt >= Object.keys(this.backends).length) {
-                callback(allResults);
+            if (_.contains(pending, backendName)) {
+                this.health.recordFailure(backendName, err, new Date().getTime() - searchStart);
+                info.failed[backend.name] = err;
+                backendDone(backendName);
             }
         }, this));
     }, this);
 };
 
-// get rid of song in queue
-// cnt can be left out for deleting only one song
-Player.prototype.removeFromQueue = function(pos, cnt, onlyRemove) {
+// remove songs from queue without calling any hooks, returns removed songs
+Player.prototype.spliceQueue = function(pos, cnt) {
     var retval = [];
     if (!cnt) {
         cnt = 1;
     }
     pos = Math.max(0, parseInt(pos));
 
-    if (!onlyRemove) {
-        this.callHooks('preSongsRemoved', [pos, cnt]);
-    }
-
     // remove songs from queue
     if (pos + cnt > 0) {
         if (this.queue.length) {
             // stop preparing songs we are about to remove
             // we want to limit this to this.queue.length if cnt is very large
-            for (var i = 0; i < Math.min(this.queue.length, pos + cnt); i++) {
+            for (var i = pos; i < Math.min(this.queue.length, pos + cnt); i++) {
                 var song = this.queue[i];
 
                 // signal prepareError function not to run removeFromQueue again
                 // TODO: try getting rid of this ugly hack (beingDeleted)...
-                // TODO: more non enumerable properties, especially plugins?
-                Object.defineProperty(song, 'beingDeleted', {
-                    enumerable: false,
-                    writable: true
-                });
-
+                Song.hideInternalState(song);
                 song.beingDeleted = true;
-                if (song.cancelPrepare) {
-                    song.cancelPrepare('song deleted');
-                    delete(song.cancelPrepare);
+                if (song.cancelPrepare && !this.countPrepareWaiters(song)) {
+                    // removing a song isn't a failure of its backend
+                    this.cancelPreparing(song, 'song deleted');
                 }
+                clearTimeout(song.prepareRetryTimeout);
+                song.prepareRetryTimeout = null;
             }
 
             retval = this.queue.splice(pos, cnt);
@@ -414,87 +1226,403 @@ Player.prototype.removeFromQueue = function(pos, cnt, onlyRemove) {
         }
     }
 
-    if (!onlyRemove) {
+    return retval;
+};
+
+// get rid of song in queue
+// pos can be a position or an entry ID
+// cnt can be left out for deleting only one song
+// callback is called with an error if a preSongsRemoved hook aborted removal,
+// the entry was not found or caller may not remove the songs (see
+// authorize()), otherwise with the removed songs
+// returns null right away if the entry was not found or removal was denied,
+// otherwise the songs to be removed. they're only removed once callback is
+// called without an error
+//
+// removeFromQueue(pos, cnt, true) still removes songs right away without
+// calling any hooks and returns them, like spliceQueue()
+Player.prototype.removeFromQueue = function(pos, cnt, callback, caller) {
+    if (!cnt) {
+        cnt = 1;
+    }
+    if (callback === true) {
+        pos = isEntryID(pos) ? this.getEntryPos(pos) : pos;
+        var removed = pos < 0 ? [] : this.spliceQueue(pos, cnt);
+        if (removed.length) {
+            this.logOp('remove', {entryIDs: _.pluck(removed, 'entryID')});
+        }
+        return removed;
+    }
+    callback = callback || _.noop;
+
+    var entryID = isEntryID(pos) ? pos : null;
+    if (entryID) {
+        pos = this.getEntryPos(entryID);
+        if (pos === -1) {
+            callback('no such queue entry: ' + entryID);
+            return null;
+        }
+    }
+    pos = Math.max(0, parseInt(pos));
+
+    var removing = this.queue.slice(pos, pos + cnt);
+    var err = this.authorize('removeFromQueue', caller, {songs: removing});
+    if (err) {
+        callback(err);
+        return null;
+    }
+
+    this.callHooksAsync('preSongsRemoved', [pos, cnt], _.bind(function(err) {
+        if (err) {
+            this.logger.error('not removing songs from queue: ' + err);
+            callback(err);
+            return;
+        }
+
+        // entry might have moved while hooks were running
+        if (entryID) {
+            pos = this.getEntryPos(entryID);
+            if (pos === -1) {
+                callback('no such queue entry: ' + entryID);
+                return;
+            }
+        }
+
+        var songs = this.spliceQueue(pos, cnt);
+        if (songs.length) {
+            this.recordQueueOp({
+                type: 'remove',
+                songs: songs,
+                pos: pos,
+                nowPlayingChanged: pos === 0
+            });
+            this.logOp('remove', {entryIDs: _.pluck(songs, 'entryID')});
+        }
+
         this.onQueueModify();
         this.callHooks('postSongsRemoved', [pos, cnt]);
-    }
+        callback(null, songs);
+    }, this));
 
-    return retval;
+    return removing;
 };
 
-Player.prototype.moveInQueue = function(from, to, cnt) {
+// from and to can be positions or entry IDs
+// callback is called with an error if the range is invalid, a preSongsMoved
+// hook aborted moving or caller may not move the songs (see authorize()),
+// otherwise with the moved songs
+// returns null right away for invalid ranges and denied moves, otherwise the
+// songs to be moved. they're only moved once callback is called without an error
+//
+// while config.queueOrder is active, moved songs are pinned so that they aren't
+// ordered back (see setPinned()). lib/permissions.js only lets admins move songs then
+Player.prototype.moveInQueue = function(from, to, cnt, callback, caller) {
+    callback = callback || _.noop;
     if (!cnt || cnt < 1) {
         cnt = 1;
     }
-    if (from < 0 || from + cnt > this.queue.length || to + cnt > this.queue.length) {
+
+    var fromID = isEntryID(from) ? from : null;
+    var toID = isEntryID(to) ? to : null;
+
+    // (re)resolve entry IDs into positions, entries not found give an invalid range
+    var validRange = _.bind(function() {
+        if (fromID) {
+            from = this.getEntryPos(fromID);
+        }
+        if (toID) {
+            to = this.getEntryPos(toID);
+        }
+        return !(from < 0 || to < 0 ||
+                from + cnt > this.queue.length || to + cnt > this.queue.length);
+    }, this);
+
+    if (!validRange()) {
+        callback('invalid range');
         return null;
     }
 
-    this.callHooks('preSongsMoved', [from, to, cnt]);
+    var moving = this.queue.slice(from, from + cnt);
+    var err = this.authorize('moveInQueue', caller, {songs: moving, to: to});
+    var pin = this.config.queueOrder !== 'none';
+    if (err) {
+        callback(err);
+        return null;
+    }
 
-    var songs = this.removeFromQueue(from, cnt, true);
-    Array.prototype.splice.apply(this.queue, [to, 0].concat(songs));
+    this.callHooksAsync('preSongsMoved', [from, to, cnt], _.bind(function(err) {
+        if (err) {
+            this.logger.error('not moving songs in queue: ' + err);
+            callback(err);
+            return;
+        }
 
-    this.callHooks('sortQueue');
-    this.onQueueModify();
-    this.callHooks('postSongsMoved', [songs, from, to, cnt]);
+        // queue might have changed while hooks were running
+        if (!validRange()) {
+            callback('invalid range');
+            return;
+        }
+
+        var nowPlaying = this.queue[0];
+        var before = this.getEntryIDs();
+        var songs = this.spliceQueue(from, cnt);
+        _.each(songs, function(song) {
+            song.beingDeleted = false;
+        });
+        Array.prototype.splice.apply(this.queue, [to, 0].concat(songs));
+        if (pin) {
+            _.each(songs, function(song) {
+                song.pinned = true;
+                this.callHooks('onSongPinned', [song, true]);
+            }, this);
+        }
+        this.recordQueueOp({
+            type: 'move',
+            songs: songs,
+            pos: from,
+            before: before,
+            after: this.getEntryIDs(),
+            nowPlayingChanged: this.queue[0] !== nowPlaying
+        });
+        this.logOp('order', {entryIDs: this.getEntryIDs()});
+        this.applyQueueOrder();
+
+        this.callHooks('sortQueue');
+        this.onQueueModify();
+        this.callHooks('postSongsMoved', [songs, from, to, cnt]);
+        callback(null, songs);
+    }, this));
 
-    return songs;
+    return moving;
 };
 
 // add songs to the queue, at optional position
-Player.prototype.addToQueue = function(songs, pos) {
+//
+// instead of an array of songs, a playlist can be queued by passing its name,
+// or a slice of a playlist by passing {playlist: name, pos: pos, cnt: cnt}
+//
+// songs are queued with caller as their userID, if given (see authorize())
+//
+// callback is called with an error if a preSongsQueued hook aborted adding
+// the songs or caller may not add them, otherwise with the added songs and
+// an array of {song, err} for songs that were rejected
+Player.prototype.addToQueue = function(songs, pos, callback, caller) {
+    callback = callback || _.noop;
+
+    if (_.isString(songs)) {
+        songs = {playlist: songs};
+    }
+    if (songs && songs.playlist) {
+        var playlistSongs = this.playlists.getSongs(songs.playlist, songs.pos, songs.cnt);
+        if (!playlistSongs) {
+            this.logger.error('not adding playlist to queue, no such playlist: ' +
+                    songs.playlist);
+            callback('no such playlist: ' + songs.playlist);
+            return;
+        }
+        songs = playlistSongs;
+    }
+
+    var err = this.authorize('addToQueue', caller, {songs: songs, pos: pos});
+    if (err) {
+        callback(err);
+        return;
+    }
+
     if (!pos) {
         pos = this.queue.length;
+
+        // songs queued by users go before songs queued by the auto-DJ
+        if (!_.every(songs, function(song) {
+            return song && song.autoAdded;
+        })) {
+            var autoAdded = _.find(_.rest(this.queue), function(song) {
+                return song && song.autoAdded;
+            });
+            pos = autoAdded ? _.indexOf(this.queue, autoAdded) : pos;
+        }
     }
     if (pos < 0) {
         pos = 1;
     }
     pos = Math.min(pos, this.queue.length);
 
-    this.callHooks('preSongsQueued', [songs, pos]);
-    _.each(songs, function(song) {
-        // check that required fields are provided
-        if (!song.title || !song.songID || !song.backendName || !song.duration) {
-            this.logger.info('required song fields not provided: ' + song.songID);
+    var added = [];
+    var rejected = [];
+    var nowPlaying = this.queue[0];
+
+    this.callHooksAsync('preSongsQueued', [songs, pos], _.bind(function(err) {
+        if (err) {
+            this.logger.error('not adding songs to queue: ' + err);
+            callback(err);
             return;
-            //return 'required song fields not provided'; // TODO: this ain't gonna work
         }
 
-        var err = this.callHooks('preSongQueued', [song]);
-        if (err) {
-            this.logger.error('not adding song to queue: ' + err);
-        } else {
-            song.timeAdded = new Date().getTime();
+        async.eachSeries(songs, _.bind(function(song, next) {
+            var err = Song.validate(song);
+            if (err) {
+                this.logger.info('not adding song to queue: ' + err);
+                rejected.push({song: song, err: err});
+                next();
+                return;
+            }
 
-            this.queue.splice(pos++, 0, song);
-            this.logger.info('added song to queue: ' + song.songID);
-            this.callHooks('postSongQueued', [song]);
-        }
-    }, this);
+            // each queued song is a new queue entry
+            var entry = new Song(song);
+            if (caller) {
+                entry.userID = caller;
+            }
 
-    this.callHooks('sortQueue');
-    this.onQueueModify();
-    this.callHooks('postSongsQueued', [songs, pos]);
+            this.callHooksAsync('preSongQueued', [entry], _.bind(function(err) {
+                if (err) {
+                    this.logger.error('not adding song to queue: ' + err);
+                    rejected.push({song: song, err: err});
+                } else {
+                    entry.timeAdded = new Date().getTime();
+
+                    // queue might have shrunk while hooks were running
+                    pos = Math.min(pos, this.queue.length);
+                    this.queue.splice(pos++, 0, entry);
+                    added.push(entry);
+                    this.logger.info('added song to queue: ' + entry.songID);
+                    this.callHooks('postSongQueued', [entry]);
+                }
+                next();
+            }, this));
+        }, this), _.bind(function() {
+            if (added.length) {
+                this.recordQueueOp({
+                    type: 'add',
+                    songs: added,
+                    pos: _.indexOf(this.queue, added[0]),
+                    nowPlayingChanged: this.queue[0] !== nowPlaying
+                });
+                this.logOp('add', {songs: added, pos: _.indexOf(this.queue, added[0])});
+                this.applyQueueOrder();
+            }
+
+            this.callHooks('sortQueue');
+            this.onQueueModify();
+            this.callHooks('postSongsQueued', [songs, pos]);
+            callback(null, added, rejected);
+        }, this));
+    }, this));
 };
 
-Player.prototype.shuffleQueue = function() {
+// check whether caller (a userID) may do operation, see lib/permissions.js.
+// returns a string stating the reason if not, and calls the onPermissionDenied
+// hook. operations without a caller, e.g. by plugins on their own or the
+// core itself, are always allowed, as is everything if config.permissions is off
+Player.prototype.authorize = function(operation, caller, details) {
+    if (!this.config.permissions || _.isUndefined(caller) || _.isNull(caller)) {
+        return null;
+    }
+
+    var err = permissions.check(this.config, operation, caller, details);
+    if (err) {
+        this.logger.info('denied ' + operation + ' to ' + caller + ': ' + err);
+        this.callHooks('onPermissionDenied', [caller, operation, err, details || {}]);
+    }
+    return err;
+};
+
+// reorder songs after now playing according to config.queueOrder, see
+// lib/queueorder.js. returns true if the order changed
+Player.prototype.applyQueueOrder = function() {
+    var before = this.getEntryIDs();
+    var ordered = queueOrder.orderQueue(this.queue, this.config.queueOrder);
+    Array.prototype.splice.apply(this.queue, [0, this.queue.length].concat(ordered));
+
+    if (_.isEqual(before, this.getEntryIDs())) {
+        return false;
+    }
+    this.logOp('order', {entryIDs: this.getEntryIDs()});
+    return true;
+};
+
+// pinned songs keep their position when the queue is ordered, entry can be a
+// position or an entry ID. returns a string stating the reason on error
+Player.prototype.setPinned = function(entry, pinned, caller) {
+    var pos = isEntryID(entry) ? this.getEntryPos(entry) : parseInt(entry);
+    var song = this.queue[pos];
+    if (!song) {
+        return 'no such queue entry: ' + entry;
+    }
+    var err = this.authorize('setPinned', caller, {songs: [song], pinned: pinned});
+    if (err) {
+        return err;
+    }
+
+    if (pinned) {
+        song.pinned = true;
+    } else {
+        delete(song.pinned);
+    }
+    this.callHooks('onSongPinned', [song, !!pinned]);
+
+    if (!pinned && this.applyQueueOrder()) {
+        this.onQueueModify();
+    } else {
+        this.saveState();
+    }
+    return null;
+};
+
+Player.prototype.shuffleQueue = function(caller) {
+    var err = this.authorize('shuffleQueue', caller);
+    if (err) {
+        return err;
+    }
+    var before = this.getEntryIDs();
+
     // don't change now playing
     var temp = this.queue.shift();
     this.queue = _.shuffle(this.queue);
     this.queue.unshift(temp);
 
+    this.recordQueueOp({
+        type: 'shuffle',
+        songs: [],
+        pos: 1,
+        before: before,
+        after: this.getEntryIDs(),
+        nowPlayingChanged: false
+    });
+    this.logOp('order', {entryIDs: this.getEntryIDs()});
+
     this.callHooks('onQueueShuffled', [this.queue]);
     this.onQueueModify();
+    return null;
+};
+
+// keep config.playedQueueSize latest played songs, or all of them in repeatAll mode
+Player.prototype.trimPlayedQueue = function() {
+    if (this.playbackMode !== 'repeatAll') {
+        this.playedQueue = _.last(this.playedQueue, this.config.playedQueueSize);
+    }
 };
 
 // cnt can be negative to go back or zero to restart current song
-Player.prototype.skipSongs = function(cnt) {
-    this.npIsPlaying = false;
+Player.prototype.skipSongs = function(cnt, caller) {
+    var err = this.authorize('skipSongs', caller, {cnt: cnt});
+    if (err) {
+        return err;
+    }
+    if (this.playbackMode === 'noConsume') {
+        // no need to go around the queue more than once
+        cnt = this.queue.length ? cnt % this.queue.length : 0;
+    }
 
     // TODO: this could be replaced with a splice?
     for (var i = 0; i < Math.abs(cnt); i++) {
-        if (cnt > 0) {
+        if (this.playbackMode === 'noConsume') {
+            // rotate the queue, played songs are kept at the end
+            if (cnt > 0) {
+                this.queue.push(this.queue.shift());
+            } else {
+                this.queue.unshift(this.queue.pop());
+            }
+        } else if (cnt > 0) {
             if (this.queue[0]) {
                 this.playedQueue.push(this.queue[0]);
             }
@@ -512,20 +1640,300 @@ Player.prototype.skipSongs = function(cnt) {
         }
     }
 
-    this.playedQueue = _.last(this.playedQueue, this.config.playedQueueSize);
+    this.trimPlayedQueue();
+
+    this.playbackPosition = null;
+    this.playbackStart = null;
+    clearTimeout(this.songEndTimeout);
+    this.songEndTimeout = null;
+    this.onQueueModify();
+    this.logOp('skip', {cnt: cnt});
+    return null;
+};
 
+// stop playback of now playing without calling any hooks, to be called when
+// queue[0] is replaced by something else
+Player.prototype.resetNowPlaying = function() {
     this.playbackPosition = null;
     this.playbackStart = null;
     clearTimeout(this.songEndTimeout);
     this.songEndTimeout = null;
+};
+
+Player.prototype.getEntryIDs = function() {
+    return _.pluck(_.compact(this.queue), 'entryID');
+};
+
+Player.prototype.recordQueueOp = function(op) {
+    this.history.record(op);
+    this.callHooks('onUndoHistoryChange', [this.history.getState()]);
+};
+
+// reverse the latest queue operation (adding, removing, moving or shuffling
+// songs). returns a string stating the reason if there is nothing to undo
+Player.prototype.undo = function(caller) {
+    var err = this.authorize('undo', caller);
+    if (err) {
+        return err;
+    }
+    var op = this.history.undo();
+    if (!op) {
+        return 'nothing to undo';
+    }
+
+    this.applyQueueOp(op, true);
+    this.callHooks('onUndo', [op]);
+    this.callHooks('onUndoHistoryChange', [this.history.getState()]);
+    return null;
+};
+
+// apply the latest undone queue operation again. returns a string stating the
+// reason if there is nothing to redo
+Player.prototype.redo = function(caller) {
+    var err = this.authorize('redo', caller);
+    if (err) {
+        return err;
+    }
+    var op = this.history.redo();
+    if (!op) {
+        return 'nothing to redo';
+    }
+
+    this.applyQueueOp(op, false);
+    this.callHooks('onRedo', [op]);
+    this.callHooks('onUndoHistoryChange', [this.history.getState()]);
+    return null;
+};
+
+// apply a queue operation recorded by recordQueueOp(), or its inverse. entries
+// are found by entry ID, since the queue may have changed in other ways since
+// (e.g. songs ended). queue[0] is left alone unless the operation changed it
+Player.prototype.applyQueueOp = function(op, inverse) {
+    var nowPlaying = this.queue[0];
+    var first = op.nowPlayingChanged ? 0 : 1;
+    var entryIDs = _.pluck(op.songs, 'entryID');
+    var removing = op.type === 'add' ? inverse : !inverse;
+
+    if (op.type === 'move' || op.type === 'shuffle') {
+        // put entries back in the order they were in, within the positions they're in now
+        var order = inverse ? op.before : op.after;
+        var positions = [];
+        for (var j = first; j < this.queue.length; j++) {
+            if (this.queue[j] && _.contains(order, this.queue[j].entryID)) {
+                positions.push(j);
+            }
+        }
+
+        var sorted = _.sortBy(_.map(positions, function(pos) {
+            return this.queue[pos];
+        }, this), function(song) {
+            return _.indexOf(order, song.entryID);
+        });
+        _.each(positions, function(pos, k) {
+            this.queue[pos] = sorted[k];
+        }, this);
+        this.logOp('order', {entryIDs: this.getEntryIDs()});
+    } else if (removing) {
+        var removed = [];
+        for (var i = this.queue.length - 1; i >= first; i--) {
+            if (this.queue[i] && _.contains(entryIDs, this.queue[i].entryID)) {
+                removed.unshift(this.spliceQueue(i, 1)[0].entryID);
+            }
+        }
+        this.logOp('remove', {entryIDs: removed});
+    } else {
+        // (re)insert the songs that aren't in the queue
+        var songs = _.filter(op.songs, function(song) {
+            return this.getEntryPos(song.entryID) === -1;
+        }, this);
+        _.each(songs, function(song) {
+            song.beingDeleted = false;
+        });
+
+        var pos = Math.max(first, Math.min(op.pos, this.queue.length));
+        Array.prototype.splice.apply(this.queue, [pos, 0].concat(songs));
+        this.logOp('add', {songs: songs, pos: pos});
+    }
+
+    if (this.queue[0] !== nowPlaying) {
+        this.resetNowPlaying();
+    }
+    this.onQueueModify();
+};
+
+// append an operation to the operation log, see lib/oplog.js
+Player.prototype.logOp = function(type, data) {
+    var op = this.oplog.append(this.zone, type, data);
+    this.callHooks('onOperation', [op]);
+};
+
+// reorder queue into the order of entryIDs, entries not in entryIDs go last
+Player.prototype.reorderQueue = function(entryIDs) {
+    this.queue = _.sortBy(_.compact(this.queue), function(song, i) {
+        var pos = _.indexOf(entryIDs, song.entryID);
+        return pos === -1 ? entryIDs.length + i : pos;
+    });
+};
+
+// apply an operation logged by another instance, see lib/oplog.js. songs
+// keep the entry IDs they have there. returns an error string or null
+Player.prototype.applyOp = function(op) {
+    var data = op.data || {};
+    var nowPlaying = this.queue[0];
+
+    switch (op.type) {
+        case 'add':
+            var songs = _.reject(Song.restore(data.songs), function(song) {
+                return this.getEntryPos(song.entryID) !== -1;
+            }, this);
+            var pos = Math.max(0, Math.min(parseInt(data.pos) || 0, this.queue.length));
+            Array.prototype.splice.apply(this.queue, [pos, 0].concat(songs));
+
+            // e.g. played songs queued again by repeatAll
+            var addedIDs = _.pluck(songs, 'entryID');
+            this.playedQueue = _.reject(this.playedQueue, function(song) {
+                return _.contains(addedIDs, song.entryID);
+            });
+            break;
+        case 'replace':
+            _.each(Song.restore(data.songs), function(song) {
+                var pos = this.getEntryPos(song.entryID);
+                if (pos !== -1) {
+                    this.spliceQueue(pos, 1);
+                    this.queue.splice(pos, 0, song);
+                }
+            }, this);
+            break;
+        case 'remove':
+            for (var i = this.queue.length - 1; i >= 0; i--) {
+                if (this.queue[i] && _.contains(data.entryIDs, this.queue[i].entryID)) {
+                    this.spliceQueue(i, 1);
+                }
+            }
+            break;
+        case 'order':
+            this.reorderQueue(data.entryIDs || []);
+            break;
+        case 'skip':
+            this.skipSongs(data.cnt);
+            return null;
+        case 'seek':
+        case 'play':
+        case 'pause':
+        case 'stop':
+            return this[op.type](data.pos);
+        default:
+            return 'unknown operation: ' + op.type;
+    }
+
+    if (this.queue[0] !== nowPlaying) {
+        this.resetNowPlaying();
+    }
+    this.onQueueModify();
+
+    // passed on to instances replicating this one
+    this.logOp(op.type, data);
+    return null;
+};
+
+// returns queue and playback state for replicating them to another instance
+Player.prototype.getSnapshot = function() {
+    return {
+        queue: this.queue,
+        playback: this.getPlaybackSync()
+    };
+};
+
+// replace queue and playback state with a getSnapshot() of another instance
+Player.prototype.applySnapshot = function(snapshot, maxDriftMs) {
+    var nowPlaying = this.queue[0];
+    var queue = Song.restore(snapshot.queue);
+
+    // stop preparing songs that are being replaced
+    for (var i = this.queue.length - 1; i >= 1; i--) {
+        this.spliceQueue(i, 1);
+    }
+
+    if (nowPlaying && queue[0] && nowPlaying.entryID === queue[0].entryID) {
+        // keep playing
+        queue[0] = nowPlaying;
+    } else if (nowPlaying) {
+        this.spliceQueue(0, 1);
+    }
+    this.queue = queue;
+
     this.onQueueModify();
+    this.logOp('order', {entryIDs: this.getEntryIDs()});
+    this.alignPlayback(snapshot.playback, maxDriftMs);
+};
+
+// now playing entry, transport state and position, sent to replicas periodically
+Player.prototype.getPlaybackSync = function() {
+    return {
+        entryID: this.queue[0] ? this.queue[0].entryID : null,
+        state: this.playbackState.state,
+        position: this.getPosition()
+    };
 };
 
-// TODO: userID does not belong into core...?
+// follow playback of another instance, given as returned by getPlaybackSync().
+// seeks if the position differs by more than maxDriftMs
+Player.prototype.alignPlayback = function(sync, maxDriftMs) {
+    var pos = sync.entryID ? this.getEntryPos(sync.entryID) : -1;
+    if (pos > 0) {
+        // other instance has moved on to a later song
+        this.skipSongs(pos);
+    } else if (pos === -1 && sync.entryID) {
+        // other instance is still playing a song that has ended here
+        var played = _.indexOf(_.pluck(this.playedQueue, 'entryID'), sync.entryID);
+        if (played !== -1) {
+            this.skipSongs(played - this.playedQueue.length);
+        }
+    }
+    if (!this.queue[0] || this.queue[0].entryID !== sync.entryID) {
+        return;
+    }
+
+    if (sync.state === 'stopped') {
+        if (this.playbackState.state !== 'stopped') {
+            this.stop();
+        }
+    } else if (sync.state === 'paused') {
+        if (this.playbackState.playWhenReady || this.playbackState.state === 'stopped') {
+            this.pause();
+        }
+        if (Math.abs(this.getPosition() - sync.position) > maxDriftMs) {
+            this.seek(sync.position);
+        }
+    } else {
+        if (!this.playbackState.playWhenReady || this.playbackState.state === 'stopped') {
+            this.play();
+        }
+        if (!this.playbackStart) {
+            // start from there once prepared
+            this.playbackPosition = sync.position;
+        } else if (Math.abs(this.getPosition() - sync.position) > maxDriftMs) {
+            this.seek(sync.position);
+        }
+    }
+};
+
+// userID is the caller, see authorize(). volume is capped at what the caller
+// may set (see permissions.getMaxVolume())
 Player.prototype.setVolume = function(newVol, userID) {
     newVol = Math.min(1, Math.max(0, newVol));
+    var err = this.authorize('setVolume', userID, {volume: newVol});
+    if (err) {
+        return err;
+    }
+    if (this.config.permissions && !_.isUndefined(userID) && !_.isNull(userID)) {
+        newVol = Math.min(newVol, permissions.getMaxVolume(this.config, userID));
+    }
+
     this.volume = newVol;
     this.callHooks('onVolumeChange', [newVol, userID]);
+    this.saveState();
+    return null;
 };
 
 module.exports = Player;
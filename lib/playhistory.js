@@ -0,0 +1,260 @@
+'use strict';
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var mkdirp = require('mkdirp');
+
+// fields of history entries, in the order they're exported as CSV
+var fields = ['startedAt', 'playedMs', 'skipped', 'zone', 'userID', 'backendName', 'songID',
+    'artist', 'title', 'album', 'duration'];
+
+// persistent history of played songs, fed by songStarted(), songPaused(),
+// songEnded() and queueModified() (from the onSongChange, onSongPause, onSongEnd
+// and postQueueModify hooks). songs are also finished when playback stops.
+// entries look like:
+//     {startedAt, playedMs, skipped, zone, userID, backendName, songID, artist,
+//      title, album, duration}
+// where playedMs is how long the song actually played, not counting pauses, and
+// skipped tells whether it was left before it ended. userID is whoever queued it.
+//
+// entries are appended to a file with one JSON entry per line.
+//
+// options:
+// - path: file to persist history into, history is kept in memory only if left out
+// - maxEntries: forget oldest entries once there are more than this, 0 for no limit
+// - logger: winston logger
+function PlayHistory(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.path       = options.path          || null;
+    this.maxEntries = options.maxEntries    || 0;
+    this.logger     = options.logger        || null;
+    this.entries    = [];
+    this.playing    = {}; // entries of songs playing in each zone, not yet in entries
+
+    if (this.path) {
+        this.load();
+    }
+}
+
+PlayHistory.prototype.load = function() {
+    var data;
+    try {
+        data = fs.readFileSync(this.path, 'utf8');
+    } catch (e) {
+        if (e.code !== 'ENOENT' && this.logger) {
+            this.logger.error('error while loading play history from ' + this.path + ': ' + e);
+        }
+        return;
+    }
+
+    // a crash while appending can leave a partial last line, skip invalid lines
+    this.entries = _.compact(_.map(data.split('\n'), function(line) {
+        try {
+            return line ? JSON.parse(line) : null;
+        } catch (e) {
+            return null;
+        }
+    }));
+    this.trim();
+};
+
+// forget oldest entries once there are a tenth more than maxEntries, so that
+// the file isn't rewritten on every new entry
+PlayHistory.prototype.trim = function() {
+    if (!this.maxEntries || this.entries.length <= this.maxEntries * 1.1) {
+        return;
+    }
+
+    this.entries = _.last(this.entries, this.maxEntries);
+    if (!this.path) {
+        return;
+    }
+
+    try {
+        fs.writeFileSync(this.path + '.tmp', _.map(this.entries, function(entry) {
+            return JSON.stringify(entry) + '\n';
+        }).join(''));
+        fs.renameSync(this.path + '.tmp', this.path);
+    } catch (e) {
+        if (this.logger) {
+            this.logger.error('error while saving play history to ' + this.path + ': ' + e);
+        }
+    }
+};
+
+PlayHistory.prototype.append = function(entry) {
+    this.entries.push(entry);
+
+    if (this.path) {
+        try {
+            mkdirp.sync(path.dirname(this.path));
+            fs.appendFileSync(this.path, JSON.stringify(entry) + '\n');
+        } catch (e) {
+            if (this.logger) {
+                this.logger.error('error while saving play history to ' + this.path + ': ' + e);
+            }
+        }
+    }
+
+    this.trim();
+};
+
+// queue of zone changed, song is now playing (or about to). songs that were
+// skipped, removed or moved away from now playing were left before they ended
+PlayHistory.prototype.queueModified = function(zone, song) {
+    var playing = this.playing[zone];
+    if (playing && (!song || playing.entryID !== song.entryID)) {
+        this.finish(zone, true);
+    }
+};
+
+// song started or resumed playing in zone
+PlayHistory.prototype.songStarted = function(zone, song) {
+    var now = new Date().getTime();
+    var playing = this.playing[zone];
+
+    if (playing && playing.entryID === song.entryID) {
+        // resumed after pause
+        playing.resumedAt = playing.resumedAt || now;
+        return;
+    }
+
+    // previous song didn't end, but something else is playing now
+    this.finish(zone, true);
+
+    this.playing[zone] = {
+        entryID: song.entryID,
+        resumedAt: now,
+        entry: _.extend(_.pick(song, 'userID', 'backendName', 'songID', 'artist', 'title',
+                'album', 'duration'), {
+            startedAt: now,
+            playedMs: 0,
+            skipped: false,
+            zone: zone
+        })
+    };
+};
+
+PlayHistory.prototype.songPaused = function(zone) {
+    var playing = this.playing[zone];
+    if (playing && playing.resumedAt) {
+        playing.entry.playedMs += new Date().getTime() - playing.resumedAt;
+        playing.resumedAt = null;
+    }
+};
+
+PlayHistory.prototype.songEnded = function(zone) {
+    this.finish(zone, false);
+};
+
+// add entry of song playing in zone to history
+PlayHistory.prototype.finish = function(zone, skipped) {
+    var playing = this.playing[zone];
+    if (!playing) {
+        return;
+    }
+
+    this.songPaused(zone);
+    playing.entry.skipped = skipped;
+    delete(this.playing[zone]);
+    this.append(playing.entry);
+};
+
+// add songs that are still playing to history, e.g. when shutting down
+PlayHistory.prototype.close = function() {
+    _.each(_.keys(this.playing), function(zone) {
+        this.finish(zone, false);
+    }, this);
+};
+
+// query options:
+// - from, to: only entries of songs started within [from, to), as timestamps
+// - zone: only entries from this zone
+// - limit: return at most this many results
+PlayHistory.prototype.getEntries = function(options) {
+    options = options || {};
+
+    return _.filter(this.entries, function(entry) {
+        return (!options.from || entry.startedAt >= options.from) &&
+            (!options.to || entry.startedAt < options.to) &&
+            (!options.zone || entry.zone === options.zone);
+    });
+};
+
+// group entries by key(entry), returns [{<pickFields>, plays, skips}] with most plays first
+var countPlays = function(entries, limit, key, pickFields) {
+    var counts = _.map(_.groupBy(entries, key), function(group) {
+        return _.extend(_.pick(_.last(group), pickFields), {
+            plays: group.length,
+            skips: _.where(group, {skipped: true}).length
+        });
+    });
+    counts = _.sortBy(counts, function(count) {
+        return -count.plays;
+    });
+
+    return limit ? _.first(counts, limit) : counts;
+};
+
+// returns [{backendName, songID, artist, title, album, duration, plays, skips}]
+PlayHistory.prototype.getMostPlayedSongs = function(options) {
+    options = options || {};
+
+    return countPlays(this.getEntries(options), options.limit, function(entry) {
+        return entry.backendName + '/' + entry.songID;
+    }, ['backendName', 'songID', 'artist', 'title', 'album', 'duration']);
+};
+
+// returns [{artist, plays, skips}], songs without an artist aren't counted
+PlayHistory.prototype.getMostPlayedArtists = function(options) {
+    options = options || {};
+
+    var entries = _.filter(this.getEntries(options), function(entry) {
+        return !!entry.artist;
+    });
+    return countPlays(entries, options.limit, 'artist', ['artist']);
+};
+
+// returns [{backendName, plays, skips}]
+PlayHistory.prototype.getMostPlayedBackends = function(options) {
+    options = options || {};
+
+    return countPlays(this.getEntries(options), options.limit, 'backendName', ['backendName']);
+};
+
+// returns latest entries first
+PlayHistory.prototype.getRecentlyPlayed = function(options) {
+    options = options || {};
+
+    var entries = this.getEntries(options).reverse();
+    return options.limit ? _.first(entries, options.limit) : entries;
+};
+
+// returns ratio of skipped songs, 0 if nothing has been played
+PlayHistory.prototype.getSkipRate = function(options) {
+    var entries = this.getEntries(options);
+    return entries.length ? _.where(entries, {skipped: true}).length / entries.length : 0;
+};
+
+// returns entries as a JSON array
+PlayHistory.prototype.exportJSON = function(options) {
+    return JSON.stringify(this.getEntries(options), undefined, 4);
+};
+
+// returns entries as CSV, with a header line
+PlayHistory.prototype.exportCSV = function(options) {
+    var escape = function(value) {
+        value = _.isUndefined(value) || _.isNull(value) ? '' : String(value);
+        return /[",\n\r]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+    };
+
+    return _.map([_.object(fields, fields)].concat(this.getEntries(options)), function(entry) {
+        return _.map(fields, function(field) {
+            return escape(entry[field]);
+        }).join(',') + '\n';
+    }).join('');
+};
+
+module.exports = PlayHistory;
@@ -0,0 +1,236 @@
+'use strict';
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var mkdirp = require('mkdirp');
+
+// strips non-enumerable properties (songData, cancelPrepare etc.) from songs,
+// and queue entry IDs and retries since songs are queued as new entries
+var cloneSongs = function(songs) {
+    return _.map(JSON.parse(JSON.stringify(songs || [])), function(song) {
+        return _.omit(song, 'entryID', 'prepareRetries');
+    });
+};
+
+// playlists are kept in an object without a prototype, so that any name can be
+// used without clashing with properties like 'constructor' or '__proto__'
+var createPlaylistMap = function(playlists) {
+    return _.extend(Object.create(null), playlists);
+};
+
+// positions can be given as numbers or numeric strings, anything else is NaN
+var parsePos = function(pos) {
+    return _.isNumber(pos) || (_.isString(pos) && pos.trim()) ? Number(pos) : NaN;
+};
+
+var isValidPos = function(pos) {
+    return pos >= 0 && pos % 1 === 0;
+};
+
+// counts are parsed like positions, counts that are left out or below 1 mean 1
+var parseCnt = function(cnt) {
+    if (_.isUndefined(cnt) || _.isNull(cnt)) {
+        return 1;
+    }
+    cnt = parseInt(parsePos(cnt), 10);
+    return cnt < 1 ? 1 : cnt;
+};
+
+// named, reusable lists of song objects
+//
+// options:
+// - path: file to persist playlists into, playlists are kept in memory only if left out
+// - callHooks: function used for calling playlist hooks, usually Player.callHooks
+// - logger: winston logger
+function Playlists(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.path       = options.path      || null;
+    this.callHooks  = options.callHooks || _.noop;
+    this.logger     = options.logger    || null;
+    this.playlists  = createPlaylistMap();
+
+    if (this.path) {
+        this.load();
+    }
+}
+
+// read playlists from disk, replacing any playlists in memory
+Playlists.prototype.load = function() {
+    try {
+        this.playlists = createPlaylistMap(JSON.parse(fs.readFileSync(this.path)));
+    } catch (e) {
+        if (e.code !== 'ENOENT' && this.logger) {
+            this.logger.error('error while loading playlists from ' + this.path + ': ' + e);
+        }
+        this.playlists = createPlaylistMap();
+    }
+};
+
+// write playlists to disk, the file is replaced atomically so that a crash
+// halfway through writing can't corrupt it
+Playlists.prototype.save = function() {
+    if (!this.path) {
+        return;
+    }
+
+    try {
+        mkdirp.sync(path.dirname(this.path));
+        fs.writeFileSync(this.path + '.tmp', JSON.stringify(this.playlists, undefined, 4));
+        fs.renameSync(this.path + '.tmp', this.path);
+    } catch (e) {
+        if (this.logger) {
+            this.logger.error('error while saving playlists to ' + this.path + ': ' + e);
+        }
+    }
+};
+
+// returns names of all playlists
+Playlists.prototype.getPlaylistNames = function() {
+    return _.keys(this.playlists);
+};
+
+Playlists.prototype.getPlaylist = function(name) {
+    return this.playlists[name] || null;
+};
+
+// returns copies of songs in playlist, starting at pos, cnt songs
+// pos and cnt can be left out for getting every song
+Playlists.prototype.getSongs = function(name, pos, cnt) {
+    var playlist = this.playlists[name];
+    if (!playlist) {
+        return null;
+    }
+
+    pos = Math.max(0, parseInt(pos) || 0);
+    cnt = _.isUndefined(cnt) || _.isNull(cnt) ? playlist.songs.length : parseInt(cnt);
+
+    return cloneSongs(playlist.songs.slice(pos, pos + cnt));
+};
+
+// all functions below return a truthy value (a string stating the reason) on
+// error, null otherwise
+
+Playlists.prototype.createPlaylist = function(name, songs) {
+    if (!name || !_.isString(name)) {
+        return 'invalid playlist name';
+    }
+    if (this.playlists[name]) {
+        return 'playlist already exists: ' + name;
+    }
+
+    var now = new Date().getTime();
+    this.playlists[name] = {
+        name: name,
+        songs: cloneSongs(songs),
+        timeCreated: now,
+        timeModified: now
+    };
+
+    this.save();
+    this.callHooks('onPlaylistCreated', [name, this.playlists[name]]);
+    return null;
+};
+
+Playlists.prototype.renamePlaylist = function(name, newName) {
+    if (!this.playlists[name]) {
+        return 'no such playlist: ' + name;
+    }
+    if (!newName || !_.isString(newName)) {
+        return 'invalid playlist name';
+    }
+    if (this.playlists[newName]) {
+        return 'playlist already exists: ' + newName;
+    }
+
+    var playlist = this.playlists[name];
+    delete(this.playlists[name]);
+
+    playlist.name = newName;
+    playlist.timeModified = new Date().getTime();
+    this.playlists[newName] = playlist;
+
+    this.save();
+    this.callHooks('onPlaylistRenamed', [name, newName, playlist]);
+    return null;
+};
+
+Playlists.prototype.deletePlaylist = function(name) {
+    if (!this.playlists[name]) {
+        return 'no such playlist: ' + name;
+    }
+
+    delete(this.playlists[name]);
+
+    this.save();
+    this.callHooks('onPlaylistDeleted', [name]);
+    return null;
+};
+
+// add songs to playlist, at optional position (defaults to end of playlist)
+Playlists.prototype.appendToPlaylist = function(name, songs, pos) {
+    var playlist = this.playlists[name];
+    if (!playlist) {
+        return 'no such playlist: ' + name;
+    }
+
+    if (_.isUndefined(pos) || _.isNull(pos)) {
+        pos = playlist.songs.length;
+    }
+    pos = Math.min(Math.max(0, parseInt(pos)), playlist.songs.length);
+
+    Array.prototype.splice.apply(playlist.songs, [pos, 0].concat(cloneSongs(songs)));
+
+    this.modified(playlist);
+    return null;
+};
+
+// cnt can be left out for removing only one song
+Playlists.prototype.removeFromPlaylist = function(name, pos, cnt) {
+    var playlist = this.playlists[name];
+    if (!playlist) {
+        return 'no such playlist: ' + name;
+    }
+
+    pos = parsePos(pos);
+    cnt = parseCnt(cnt);
+    if (!isValidPos(pos) || _.isNaN(cnt) || pos + cnt > playlist.songs.length) {
+        return 'invalid range';
+    }
+
+    playlist.songs.splice(pos, cnt);
+
+    this.modified(playlist);
+    return null;
+};
+
+Playlists.prototype.moveInPlaylist = function(name, from, to, cnt) {
+    var playlist = this.playlists[name];
+    if (!playlist) {
+        return 'no such playlist: ' + name;
+    }
+
+    from = parsePos(from);
+    to = parsePos(to);
+    cnt = parseCnt(cnt);
+    if (!isValidPos(from) || !isValidPos(to) || _.isNaN(cnt) ||
+            from + cnt > playlist.songs.length || to + cnt > playlist.songs.length) {
+        return 'invalid range';
+    }
+
+    var songs = playlist.songs.splice(from, cnt);
+    Array.prototype.splice.apply(playlist.songs, [to, 0].concat(songs));
+
+    this.modified(playlist);
+    return null;
+};
+
+Playlists.prototype.modified = function(playlist) {
+    playlist.timeModified = new Date().getTime();
+
+    this.save();
+    this.callHooks('onPlaylistModified', [playlist.name, playlist]);
+};
+
+module.exports = Playlists;
@@ -0,0 +1,70 @@
+'use strict';
+var _ = require('underscore');
+
+// undo and redo stacks of queue operations, see Player.undo() and Player.redo()
+//
+// operations are objects with:
+// - type: 'add', 'remove', 'move' or 'shuffle'
+// - songs: added, removed or moved queue entries, empty for 'shuffle'
+// - pos: position songs were added to or removed or moved from
+// - before, after: entry IDs in queue order before and after a 'move' or 'shuffle'
+// - nowPlayingChanged: whether the operation changed queue[0]
+//
+// options:
+// - config: core config, at most config.undoHistorySize operations are kept
+function QueueHistory(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.config     = options.config;
+    this.undoStack  = [];
+    this.redoStack  = [];
+}
+
+// a new operation can't be redone on top of, so this clears the redo stack
+QueueHistory.prototype.record = function(op) {
+    this.undoStack.push(op);
+    this.undoStack = _.last(this.undoStack, this.config.undoHistorySize);
+    this.redoStack = [];
+};
+
+// returns operation to undo and moves it to the redo stack, null if there is none
+QueueHistory.prototype.undo = function() {
+    var op = this.undoStack.pop() || null;
+    if (op) {
+        this.redoStack.push(op);
+    }
+    return op;
+};
+
+// returns operation to redo and moves it to the undo stack, null if there is none
+QueueHistory.prototype.redo = function() {
+    var op = this.redoStack.pop() || null;
+    if (op) {
+        this.undoStack.push(op);
+    }
+    return op;
+};
+
+QueueHistory.prototype.clear = function() {
+    this.undoStack = [];
+    this.redoStack = [];
+};
+
+// what would be undone and redone next, suitable for showing in UIs:
+// {undo: {type, songs, pos}, redo: {type, songs, pos}, undoCnt, redoCnt},
+// undo and redo are null if there is nothing to undo or redo
+QueueHistory.prototype.getState = function() {
+    var describe = function(op) {
+        return op ? _.pick(op, 'type', 'songs', 'pos') : null;
+    };
+
+    return {
+        undo: describe(_.last(this.undoStack)),
+        redo: describe(_.last(this.redoStack)),
+        undoCnt: this.undoStack.length,
+        redoCnt: this.redoStack.length
+    };
+};
+
+module.exports = QueueHistory;
@@ -0,0 +1,67 @@
+'use strict';
+var _ = require('underscore');
+
+// policies for ordering songs waiting in the queue, see config.queueOrder.
+// each returns the given songs in the order they should be played in
+var policies = {
+    // in the order they were queued
+    fifo: function(songs) {
+        return _.sortBy(songs, 'timeAdded');
+    },
+
+    // users take turns, starting with whoever has waited longest. songs
+    // without a userID take turns as if they were queued by the same user
+    roundRobin: function(songs) {
+        songs = policies.fifo(songs);
+
+        var getUser = function(song) {
+            return song.userID || '';
+        };
+        var users = _.uniq(_.map(songs, getUser));
+        var rounds = {};
+
+        // the nth song of each user is played in the nth round
+        return _.sortBy(songs, function(song) {
+            var user = getUser(song);
+            rounds[user] = (rounds[user] || 0) + 1;
+            return rounds[user] * users.length + _.indexOf(users, user);
+        });
+    },
+
+    // most votes first, songs with as many votes in the order they were queued
+    votes: function(songs) {
+        return _.sortBy(policies.fifo(songs), function(song) {
+            return -getScore(song);
+        });
+    }
+};
+
+// upVotes and downVotes are objects with the IDs of users who voted as keys
+var getScore = exports.getScore = function(song) {
+    return _.size(song.upVotes) - _.size(song.downVotes);
+};
+
+exports.policies = ['none'].concat(_.keys(policies));
+
+// returns a copy of queue ordered by policy ('none' leaves it as it is).
+// now playing (queue[0]) and pinned songs stay where they are, other songs
+// are ordered into the remaining positions with auto-added songs last
+exports.orderQueue = function(queue, policy) {
+    var sort = policies[policy];
+    if (!sort) {
+        return queue.slice();
+    }
+
+    var waiting = _.filter(_.rest(queue), function(song) {
+        return song && !song.pinned;
+    });
+    var isAutoAdded = function(song) {
+        return !!song.autoAdded;
+    };
+    var ordered = sort(_.reject(waiting, isAutoAdded))
+        .concat(sort(_.filter(waiting, isAutoAdded)));
+
+    return _.map(queue, function(song, i) {
+        return i === 0 || !song || song.pinned ? song : ordered.shift();
+    });
+};
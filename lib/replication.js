@@ -0,0 +1,262 @@
+'use strict';
+var _ = require('underscore');
+var net = require('net');
+
+// replicates queues and playback of all zones from a leader instance to
+// follower instances over TCP, see lib/oplog.js for the operations
+//
+// the protocol is newline delimited JSON. followers start by sending:
+//     {"type": "hello", "logID": "...", "seq": 12}
+// with the log ID and sequence number of the last operation they've seen, or
+// null if they haven't seen any. the leader answers with the operations the
+// follower has missed, or with a snapshot of all zones if it doesn't have
+// them anymore (or if it has been restarted, i.e. its log ID has changed):
+//     {"type": "snapshot", "logID": "...", "seq": 34, "zones": {"default": {...}}}
+//     {"type": "op", "logID": "...", "op": {...}}
+// after which the leader keeps sending new operations as they happen, and
+// the now playing song and playback position of each zone every once in a while:
+//     {"type": "sync", "zones": {"default": {"entryID": "...", "state": "playing", ...}}}
+
+// call handler with each message received on socket
+var onMessages = function(socket, handler) {
+    var buf = '';
+
+    socket.setEncoding('utf8');
+    socket.on('data', function(data) {
+        buf += data;
+
+        var lines = buf.split('\n');
+        buf = lines.pop();
+
+        _.each(lines, function(line) {
+            var message;
+            try {
+                message = JSON.parse(line);
+            } catch (e) {
+                return;
+            }
+            handler(message);
+        });
+    });
+};
+
+var send = function(socket, message) {
+    socket.write(JSON.stringify(message) + '\n');
+};
+
+// options:
+// - core: Core instance to replicate
+// - host, port: address to listen on
+// - syncIntervalMs: how often to send playback positions
+// - logger: winston logger
+function ReplicationLeader(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.core           = options.core;
+    this.host           = options.host;
+    this.port           = options.port;
+    this.syncIntervalMs = options.syncIntervalMs;
+    this.logger         = options.logger;
+    this.followers      = [];
+    this.syncInterval   = null;
+    this.server         = net.createServer(this.onConnection);
+}
+
+ReplicationLeader.prototype.listen = function(callback) {
+    callback = callback || _.noop;
+
+    this.server.once('error', callback);
+    this.server.listen(this.port, this.host, _.bind(function() {
+        this.server.removeListener('error', callback);
+        this.server.on('error', _.bind(function(err) {
+            this.logger.error('replication error: ' + err);
+        }, this));
+
+        this.syncInterval = setInterval(this.sendSync, this.syncIntervalMs);
+        this.syncInterval.unref();
+
+        this.logger.info('replication leader listening on ' + this.host + ':' +
+                this.server.address().port);
+        callback();
+    }, this));
+};
+
+ReplicationLeader.prototype.close = function(callback) {
+    clearInterval(this.syncInterval);
+    _.invoke(this.followers, 'destroy');
+    this.followers = [];
+    this.server.close(function() {
+        (callback || _.noop)();
+    });
+};
+
+ReplicationLeader.prototype.onConnection = function(socket) {
+    this.logger.info('replication follower connected: ' + socket.remoteAddress);
+
+    socket.on('error', _.bind(function(err) {
+        this.logger.warn('replication follower error: ' + err);
+    }, this));
+    socket.on('close', _.bind(function() {
+        this.followers = _.without(this.followers, socket);
+    }, this));
+
+    onMessages(socket, _.bind(function(message) {
+        if (message.type !== 'hello' || _.contains(this.followers, socket)) {
+            return;
+        }
+
+        var oplog = this.core.oplog;
+        var ops = message.logID === oplog.id ? oplog.since(message.seq) : null;
+        if (ops) {
+            _.each(ops, function(op) {
+                send(socket, {type: 'op', logID: oplog.id, op: op});
+            });
+        } else {
+            send(socket, {
+                type: 'snapshot',
+                logID: oplog.id,
+                seq: oplog.seq,
+                zones: this.core.getSnapshot()
+            });
+        }
+
+        // new operations are only sent once the follower has caught up
+        this.followers.push(socket);
+        this.sendSync();
+    }, this));
+};
+
+// to be called with each new operation
+ReplicationLeader.prototype.broadcast = function(op) {
+    _.each(this.followers, function(socket) {
+        send(socket, {type: 'op', logID: this.core.oplog.id, op: op});
+    }, this);
+};
+
+ReplicationLeader.prototype.sendSync = function() {
+    var zones = {};
+    _.each(this.core.zones, function(player, zoneName) {
+        zones[zoneName] = player.getPlaybackSync();
+    });
+
+    _.each(this.followers, function(socket) {
+        send(socket, {type: 'sync', zones: zones});
+    });
+};
+
+// options:
+// - core: Core instance to replicate into
+// - host, port: address of the leader
+// - reconnectMs: how long to wait before reconnecting to the leader
+// - maxDriftMs: seek if playback position differs this much from the leader
+// - logger: winston logger
+function ReplicationFollower(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.core           = options.core;
+    this.host           = options.host;
+    this.port           = options.port;
+    this.reconnectMs    = options.reconnectMs;
+    this.maxDriftMs     = options.maxDriftMs;
+    this.logger         = options.logger;
+    this.socket         = null;
+    this.reconnectTimeout = null;
+    this.closed         = false;
+
+    // last operation seen from the leader
+    this.logID          = null;
+    this.seq            = null;
+}
+
+ReplicationFollower.prototype.connect = function() {
+    this.reconnectTimeout = null;
+
+    var socket = this.socket = net.connect(this.port, this.host, _.bind(function() {
+        this.logger.info('connected to replication leader ' + this.host + ':' + this.port);
+        send(socket, {type: 'hello', logID: this.logID, seq: this.seq});
+    }, this));
+
+    onMessages(socket, _.bind(function(message) {
+        if (socket === this.socket) {
+            this.onMessage(message);
+        }
+    }, this));
+    socket.on('error', _.bind(function(err) {
+        this.logger.warn('replication leader error: ' + err);
+    }, this));
+    socket.on('close', _.bind(function() {
+        if (socket === this.socket) {
+            this.socket = null;
+            this.reconnect();
+        }
+    }, this));
+};
+
+ReplicationFollower.prototype.reconnect = function() {
+    if (this.closed || this.reconnectTimeout) {
+        return;
+    }
+
+    if (this.socket) {
+        var socket = this.socket;
+        this.socket = null;
+        socket.destroy();
+    }
+
+    this.reconnectTimeout = setTimeout(this.connect, this.reconnectMs);
+};
+
+ReplicationFollower.prototype.close = function() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimeout);
+    if (this.socket) {
+        this.socket.destroy();
+        this.socket = null;
+    }
+};
+
+ReplicationFollower.prototype.getZone = function(zoneName) {
+    return this.core.getZone(zoneName) || this.core.createZone(zoneName);
+};
+
+ReplicationFollower.prototype.onMessage = function(message) {
+    if (message.type === 'snapshot') {
+        this.logger.info('replicating snapshot of leader at ' + message.seq);
+        _.each(message.zones, function(snapshot, zoneName) {
+            var player = this.getZone(zoneName);
+            if (player) {
+                player.applySnapshot(snapshot, this.maxDriftMs);
+            }
+        }, this);
+
+        this.logID = message.logID;
+        this.seq = message.seq;
+    } else if (message.type === 'op') {
+        var op = message.op;
+        if (message.logID !== this.logID || op.seq !== this.seq + 1) {
+            // missed something, start over
+            this.logger.warn('replication out of sync at ' + this.seq + ', reconnecting');
+            this.reconnect();
+            return;
+        }
+
+        var player = this.getZone(op.zone);
+        var err = player ? player.applyOp(op) : 'invalid zone: ' + op.zone;
+        if (err) {
+            this.logger.verbose('unable to replicate ' + op.type + ': ' + err);
+        }
+        this.seq = op.seq;
+    } else if (message.type === 'sync') {
+        _.each(message.zones, function(sync, zoneName) {
+            var player = this.core.getZone(zoneName);
+            if (player) {
+                player.alignPlayback(sync, this.maxDriftMs);
+            }
+        }, this);
+    }
+};
+
+exports.ReplicationLeader = ReplicationLeader;
+exports.ReplicationFollower = ReplicationFollower;
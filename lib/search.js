@@ -0,0 +1,92 @@
+'use strict';
+var _ = require('underscore');
+
+// helpers for combining search results from several backends into one ranked list
+
+// letters and numbers of any script, and combining marks left over by NFKD
+var nonAlphanumeric = new RegExp('[^\\p{L}\\p{N}]+', 'gu');
+var combiningMarks = new RegExp('\\p{M}+', 'gu');
+
+// lowercase, strip accents and strip everything but letters and numbers, so that
+// e.g. "Daft Punk - One More Time" and "daft punk one more time" compare equal
+var normalizeString = function(str) {
+    return String(str || '').normalize('NFKD').toLowerCase()
+        .replace(combiningMarks, '').replace(nonAlphanumeric, '');
+};
+exports.normalizeString = normalizeString;
+
+// do a and b normalize to the same string? empty strings never match, since
+// nothing would be known about either
+var sameNormalized = function(a, b) {
+    var normalized = normalizeString(a);
+    return normalized !== '' && normalized === normalizeString(b);
+};
+
+// are a and b likely the same song? artists and titles must match, and
+// duration may differ by toleranceMs
+exports.isDuplicate = function(a, b, toleranceMs) {
+    return sameNormalized(a.artist, b.artist) && sameNormalized(a.title, b.title) &&
+        Math.abs(parseInt(a.duration) - parseInt(b.duration)) <= toleranceMs;
+};
+
+// backends score results on different scales, normalize scores to [0, 1]
+// within each backend. if a backend doesn't score results, results are
+// assumed to be ordered by relevance.
+// returns array of {song, score}
+exports.normalizeScores = function(songs) {
+    songs = _.values(songs);
+
+    var scores = _.filter(_.pluck(songs, 'score'), _.isNumber);
+    if (scores.length !== songs.length) {
+        return _.map(songs, function(song, i) {
+            return {song: song, score: 1 - i / songs.length};
+        });
+    }
+
+    var min = _.min(scores);
+    var max = _.max(scores);
+
+    return _.map(songs, function(song) {
+        return {song: song, score: max === min ? 1 : (song.score - min) / (max - min)};
+    });
+};
+
+// merge results from searchBackends() into one list ranked by normalized score.
+// duplicates of the same song found in several backends are grouped together,
+// the best scoring one is used as the song of the group.
+// returns array of {song, score, duplicates: [song, ...]}
+exports.mergeResults = function(allResults, toleranceMs) {
+    var ranked = _.sortBy(_.flatten(_.map(allResults, function(results) {
+        return exports.normalizeScores(results.songs);
+    }), true), function(result) {
+        return -result.score;
+    });
+
+    var merged = [];
+    _.each(ranked, function(result) {
+        var group = _.find(merged, function(group) {
+            return exports.isDuplicate(group.song, result.song, toleranceMs);
+        });
+
+        if (group) {
+            group.duplicates.push(result.song);
+        } else {
+            merged.push({song: result.song, score: result.score, duplicates: []});
+        }
+    });
+
+    return merged;
+};
+
+// returns page of merged results: {songs, total, offset, limit}
+exports.paginate = function(merged, offset, limit) {
+    offset = Math.max(0, parseInt(offset) || 0);
+    limit = Math.max(0, parseInt(limit) || merged.length);
+
+    return {
+        songs: merged.slice(offset, offset + limit),
+        total: merged.length,
+        offset: offset,
+        limit: limit
+    };
+};
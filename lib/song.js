@@ -0,0 +1,85 @@
+'use strict';
+var _ = require('underscore');
+var crypto = require('crypto');
+
+// state used by the player while preparing and playing songs. it's kept in
+// non-enumerable properties so that it's left out when songs are serialized.
+// prepareRetries isn't, clients may want to show it
+var internalFields = ['songData', 'prepareTimeout', 'cancelPrepare', 'prepareCancelled',
+    'beingDeleted', 'prepareStart', 'substitutePending', 'prepareRetryTimeout'];
+
+// entry IDs are never numeric, so that they can't be confused with queue positions
+var createEntryID = function() {
+    return 'e' + crypto.randomBytes(8).toString('hex');
+};
+
+// a song in a queue. each Song is a separate queue entry, identified by its
+// entryID, even if the same song is queued several times.
+//
+// fields are copied from the given object and normalized, see Song.validate()
+// for checking them first. entryID is only kept if given, otherwise a new one
+// is created, and the entry hasn't been retried yet (prepareRetries).
+function Song(fields, entryID) {
+    _.extend(this, _.omit(fields || {}, 'entryID'));
+    if (!entryID) {
+        delete(this.prepareRetries);
+    }
+
+    this.songID         = String(this.songID);
+    this.backendName    = String(this.backendName);
+    this.title          = String(this.title);
+    this.duration       = parseInt(this.duration);
+    this.entryID        = entryID || createEntryID();
+
+    Song.hideInternalState(this);
+}
+
+Song.internalFields = internalFields;
+
+// returns a truthy value (a string stating the reason) if fields can't make up a song
+Song.validate = function(fields) {
+    if (!fields) {
+        return 'no song given';
+    }
+
+    var missing = _.filter(['title', 'songID', 'backendName', 'duration'], function(field) {
+        return _.isUndefined(fields[field]) || _.isNull(fields[field]) || fields[field] === '';
+    });
+    if (missing.length) {
+        return 'required song fields not provided: ' + missing.join(', ');
+    }
+
+    var duration = parseInt(fields.duration);
+    if (_.isNaN(duration) || duration <= 0) {
+        return 'invalid song duration: ' + fields.duration;
+    }
+
+    return null;
+};
+
+// make internal state of song non-enumerable, also works for plain objects
+Song.hideInternalState = function(song) {
+    _.each(internalFields, function(field) {
+        var descriptor = Object.getOwnPropertyDescriptor(song, field);
+        if (!descriptor || descriptor.enumerable) {
+            Object.defineProperty(song, field, {
+                enumerable: false,
+                writable: true,
+                configurable: true,
+                value: descriptor ? descriptor.value : null
+            });
+        }
+    });
+};
+
+// restore songs serialized with JSON.stringify(), keeping their entry IDs.
+// invalid songs are left out
+Song.restore = function(songs) {
+    return _.map(_.filter(songs || [], function(song) {
+        return !Song.validate(song);
+    }), function(song) {
+        return new Song(song, song.entryID);
+    });
+};
+
+module.exports = Song;
@@ -0,0 +1,214 @@
+'use strict';
+var _ = require('underscore');
+var async = require('async');
+var fs = require('fs');
+var path = require('path');
+
+// keeps track of songs prepared by backends into the song cache directory,
+// and evicts least recently played songs once the cache grows too large.
+//
+// backends store songs as: <songCachePath>/<backendName>/<songID>.<format>
+//
+// options:
+// - path: song cache directory (config.songCachePath), nothing is tracked or
+//   evicted if left out
+// - maxBytes: evict songs once the cache is larger than this, 0 for no limit
+// - maxSongs: evict songs once the cache has more songs than this, 0 for no limit
+// - isInUse: function(backendName, songID), songs for which this returns true
+//   are never evicted (e.g. queued, preparing or now playing songs)
+// - logger: winston logger
+function SongCache(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.path       = options.path;
+    this.maxBytes   = options.maxBytes  || 0;
+    this.maxSongs   = options.maxSongs  || 0;
+    this.isInUse    = options.isInUse   || function() { return false; };
+    this.logger     = options.logger;
+    this.entries    = {};
+}
+
+// build index of songs already in the cache directory. file modification time
+// is used as last play time for these.
+SongCache.prototype.scan = function(callback) {
+    callback = callback || _.noop;
+    if (!this.path) {
+        callback(null);
+        return;
+    }
+
+    fs.readdir(this.path, _.bind(function(err, backendNames) {
+        if (err) {
+            // nothing has been cached yet
+            callback(err.code === 'ENOENT' ? null : err);
+            return;
+        }
+
+        async.each(backendNames, _.bind(function(backendName, backendCallback) {
+            var backendPath = path.join(this.path, backendName);
+            fs.readdir(backendPath, _.bind(function(err, files) {
+                if (err) {
+                    // not a directory
+                    backendCallback();
+                    return;
+                }
+
+                async.each(files, _.bind(function(file, fileCallback) {
+                    fs.stat(path.join(backendPath, file), _.bind(function(err, stats) {
+                        if (!err && stats.isFile()) {
+                            var songID = path.basename(file, path.extname(file));
+                            this.addEntry(backendName, songID, file, stats.size,
+                                    stats.mtime.getTime());
+                        }
+                        fileCallback();
+                    }, this));
+                }, this), backendCallback);
+            }, this));
+        }, this), _.bind(function(err) {
+            this.logger.verbose('song cache contains ' + this.getStats().songs + ' songs');
+            this.evict();
+            callback(err);
+        }, this));
+    }, this));
+};
+
+SongCache.prototype.addEntry = function(backendName, songID, file, size, lastPlayed) {
+    this.entries[backendName] = this.entries[backendName] || {};
+    this.entries[backendName][songID] = {
+        backendName: backendName,
+        songID: songID,
+        file: file,
+        size: size,
+        lastPlayed: lastPlayed
+    };
+};
+
+// to be called when a song has been prepared, i.e. from onSongPrepared
+SongCache.prototype.songPrepared = function(song, callback) {
+    callback = callback || _.noop;
+    if (!this.path) {
+        callback();
+        return;
+    }
+
+    var file = song.songID + '.' + song.format;
+    fs.stat(path.join(this.path, song.backendName, file), _.bind(function(err, stats) {
+        if (err) {
+            // backend stores songs somewhere else, nothing to track
+            this.logger.debug('prepared song not found in song cache: ' + song.songID);
+            callback();
+            return;
+        }
+
+        this.addEntry(song.backendName, song.songID, file, stats.size, new Date().getTime());
+        this.evict(callback);
+    }, this));
+};
+
+// to be called when a song has been played, i.e. from onSongEnd
+SongCache.prototype.songPlayed = function(song, callback) {
+    var entry = this.entries[song.backendName] && this.entries[song.backendName][song.songID];
+    if (entry) {
+        entry.lastPlayed = new Date().getTime();
+    }
+
+    // song might not be in use anymore, which could allow evicting songs
+    this.evict(callback);
+};
+
+SongCache.prototype.getEntries = function() {
+    return _.flatten(_.map(this.entries, _.values));
+};
+
+SongCache.prototype.getStats = function() {
+    var stats = {
+        songs: 0,
+        bytes: 0,
+        maxSongs: this.maxSongs,
+        maxBytes: this.maxBytes,
+        backends: {}
+    };
+
+    _.each(this.getEntries(), function(entry) {
+        var backendStats = stats.backends[entry.backendName] =
+            stats.backends[entry.backendName] || {songs: 0, bytes: 0};
+
+        backendStats.songs++;
+        backendStats.bytes += entry.size;
+        stats.songs++;
+        stats.bytes += entry.size;
+    });
+
+    return stats;
+};
+
+// remove songs from disk and from the index, callback is called with the removed entries
+SongCache.prototype.removeEntries = function(entries, callback) {
+    callback = callback || _.noop;
+
+    _.each(entries, function(entry) {
+        delete(this.entries[entry.backendName][entry.songID]);
+    }, this);
+
+    async.each(entries, _.bind(function(entry, entryCallback) {
+        var file = path.join(this.path, entry.backendName, entry.file);
+        this.logger.verbose('removing song from cache: ' + entry.backendName + ' ' +
+                entry.songID);
+        fs.unlink(file, _.bind(function(err) {
+            if (err && err.code !== 'ENOENT') {
+                this.logger.error('error while removing ' + file + ': ' + err);
+            }
+            entryCallback();
+        }, this));
+    }, this), function() {
+        callback(null, entries);
+    });
+};
+
+// evict least recently played songs until the cache is within its limits
+SongCache.prototype.evict = function(callback) {
+    var stats = this.getStats();
+    var evicted = [];
+
+    var overLimit = _.bind(function() {
+        return (this.maxBytes && stats.bytes > this.maxBytes) ||
+            (this.maxSongs && stats.songs > this.maxSongs);
+    }, this);
+
+    var candidates = _.sortBy(_.reject(this.getEntries(), function(entry) {
+        return this.isInUse(entry.backendName, entry.songID);
+    }, this), 'lastPlayed');
+
+    while (overLimit() && candidates.length) {
+        var entry = candidates.shift();
+        evicted.push(entry);
+        stats.bytes -= entry.size;
+        stats.songs--;
+    }
+
+    if (overLimit()) {
+        this.logger.warn('song cache is over its limits, but all songs are in use');
+    }
+
+    this.removeEntries(evicted, callback);
+};
+
+// remove all songs that are not in use, optionally only from one backend.
+// callback is called with the removed entries
+SongCache.prototype.purge = function(backendName, callback) {
+    if (_.isFunction(backendName)) {
+        callback = backendName;
+        backendName = null;
+    }
+
+    var entries = _.filter(this.getEntries(), function(entry) {
+        return (!backendName || entry.backendName === backendName) &&
+            !this.isInUse(entry.backendName, entry.songID);
+    }, this);
+
+    this.logger.info('purging ' + entries.length + ' songs from song cache');
+    this.removeEntries(entries, callback);
+};
+
+module.exports = SongCache;
@@ -0,0 +1,79 @@
+'use strict';
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var mkdirp = require('mkdirp');
+
+// journals player state snapshots (see Player.getState()) to disk
+//
+// options:
+// - path: file to store state into
+// - logger: winston logger
+function StateStore(options) {
+    options = options || {};
+
+    _.bindAll.apply(_, [this].concat(_.functions(this)));
+    this.path       = options.path;
+    this.logger     = options.logger    || null;
+    this.saving     = false;
+    this.pending    = null;
+}
+
+// read last saved state from disk, returns null if there is none
+StateStore.prototype.load = function() {
+    try {
+        return JSON.parse(fs.readFileSync(this.path));
+    } catch (e) {
+        if (e.code !== 'ENOENT' && this.logger) {
+            this.logger.error('error while loading player state from ' + this.path + ': ' + e);
+        }
+        return null;
+    }
+};
+
+// state is serialized right away, but written to disk asynchronously. if
+// a write is already in progress, only the latest state is written after it
+StateStore.prototype.save = function(state) {
+    this.pending = JSON.stringify(_.extend({
+        savedAt: new Date().getTime()
+    }, state));
+
+    if (!this.saving) {
+        this.write();
+    }
+};
+
+StateStore.prototype.write = function() {
+    var data = this.pending;
+    var tmpPath = this.path + '.tmp';
+
+    this.pending = null;
+    this.saving = true;
+
+    var done = _.bind(function(err) {
+        if (err && this.logger) {
+            this.logger.error('error while saving player state to ' + this.path + ': ' + err);
+        }
+
+        this.saving = false;
+        if (this.pending) {
+            this.write();
+        }
+    }, this);
+
+    // the old state is replaced atomically so that a crash while writing
+    // can't leave us with a corrupted file
+    mkdirp(path.dirname(this.path), _.bind(function(err) {
+        if (err) {
+            return done(err);
+        }
+        fs.writeFile(tmpPath, data, _.bind(function(err) {
+            if (err) {
+                return done(err);
+            }
+            fs.rename(tmpPath, this.path, done);
+        }, this));
+    }, this));
+};
+
+module.exports = StateStore;
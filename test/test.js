@@ -1,9 +1,28 @@
 'use strict';
 
 /*jshint expr: true*/
+/*global Promise*/
 var should = require('chai').should();
 var _ = require('underscore');
+var fs = require('fs');
+var os = require('os');
+var net = require('net');
+var path = require('path');
 var Player = require('../lib/player');
+var Playlists = require('../lib/playlists');
+var Song = require('../lib/song');
+var StateStore = require('../lib/statestore');
+var BackendHealth = require('../lib/health');
+var OpLog = require('../lib/oplog');
+var PlayHistory = require('../lib/playhistory');
+var AutoDJ = require('../lib/autodj');
+var queueOrder = require('../lib/queueorder');
+var permissions = require('../lib/permissions');
+var nodeplayer = require('../');
+var control = require('../lib/control');
+var SongCache = require('../lib/songcache');
+var search = require('../lib/search');
+var modules = require('../lib/modules');
 var dummyBackend = require('nodeplayer-backend-dummy');
 var exampleQueue = require('./exampleQueue.json');
 
@@ -13,6 +32,16 @@ var dummyClone = function(obj) {
     return JSON.parse(JSON.stringify(obj));
 };
 
+var songIDs = function(songs) {
+    return _.pluck(songs, 'songID');
+};
+
+// plugin hook functions taking a callback, see Player.callHooksAsync()
+var asyncHook = function(fn) {
+    fn.async = true;
+    return fn;
+};
+
 var dummyLogger = {
     silly: _.noop,
     debug: _.noop,
@@ -53,6 +82,226 @@ describe('Player', function() {
         });
     });
 
+    describe('#setPlaybackMode()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+        });
+        it('should use normal playback mode by default', function() {
+            player.playbackMode.should.equal('normal');
+        });
+        it('should set playback mode and call onPlaybackModeChange', function(done) {
+            player.plugins.dummy = {
+                onPlaybackModeChange: function(mode, oldMode) {
+                    mode.should.equal('repeatAll');
+                    oldMode.should.equal('normal');
+                    done();
+                }
+            };
+            should.equal(player.setPlaybackMode('repeatAll'), null);
+            player.getState().playbackMode.should.equal('repeatAll');
+        });
+        it('should return error and not do anything for invalid modes', function() {
+            player.setPlaybackMode('thisModeShouldNotExist').should.be.ok;
+            player.playbackMode.should.equal('normal');
+        });
+    });
+
+    describe('#on()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+        });
+        it('should call handlers in priority order', function() {
+            var called = [];
+            player.plugins.dummy = {
+                onSongEnd: function() {
+                    called.push('plugin');
+                }
+            };
+            player.on('onSongEnd', function() {
+                called.push('low');
+            }, -1);
+            player.on('onSongEnd', function() {
+                called.push('high');
+            }, {priority: 10});
+            player.on('onSongEnd', function() {
+                called.push('default');
+            });
+
+            player.callHooks('onSongEnd', [{}]);
+            called.should.deep.equal(['high', 'plugin', 'default', 'low']);
+        });
+        it('should not let observers abort the chain', function() {
+            var called = false;
+            player.on('preSongQueued', function() {
+                return 'ignored';
+            }, {priority: 1, observe: true});
+            player.on('preSongQueued', function() {
+                called = true;
+            });
+
+            should.not.exist(player.callHooks('preSongQueued', [{}]));
+            called.should.equal(true);
+        });
+        it('should pass every hook to wildcard listeners', function() {
+            var called = [];
+            player.on('*', function(hook, argv) {
+                called.push([hook, argv]);
+            });
+            player.on('preSongQueued', function() {
+                return 'aborted';
+            });
+
+            player.callHooks('preSongQueued', [42]);
+            player.emit('onSongEnd', 1, 2);
+            called.should.deep.equal([['preSongQueued', [42]], ['onSongEnd', [1, 2]]]);
+        });
+        it('should remove handlers with off()', function() {
+            var handler = function() {
+                throw new Error('this should never be executed');
+            };
+            player.on('onSongEnd', handler);
+            player.numHooks('onSongEnd').should.equal(1);
+            player.off('onSongEnd', handler);
+            player.numHooks('onSongEnd').should.equal(0);
+            player.callHooks('onSongEnd', [{}]);
+        });
+        it('should only call once() handlers once', function() {
+            var cnt = 0;
+            player.once('onSongEnd', function() {
+                cnt++;
+            });
+            player.callHooks('onSongEnd', [{}]);
+            player.callHooks('onSongEnd', [{}]);
+            cnt.should.equal(1);
+        });
+        it('should let handlers veto asynchronous hooks', function(done) {
+            player.on('preSongQueued', function(song, callback) {
+                callback('vetoed');
+            }, {async: true});
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                err.should.equal('vetoed');
+                done();
+            });
+        });
+    });
+
+    describe('#callHooksAsync()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+        });
+        it('should call hooks in plugin order', function(done) {
+            var called = [];
+            player.plugins.first = {
+                preSongQueued: asyncHook(function(song, callback) {
+                    setTimeout(function() {
+                        called.push('first');
+                        callback();
+                    }, 10);
+                })
+            };
+            player.plugins.second = {
+                preSongQueued: function(song) {
+                    called.push('second');
+                }
+            };
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                should.equal(err, null);
+                called.should.deep.equal(['first', 'second']);
+                done();
+            });
+        });
+        it('should abort on error passed to callback', function(done) {
+            player.plugins.first = {
+                preSongQueued: asyncHook(function(song, callback) {
+                    callback('vetoed');
+                })
+            };
+            player.plugins.second = {
+                preSongQueued: function(song) {
+                    throw new Error('this should never be executed');
+                }
+            };
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                err.should.equal('vetoed');
+                done();
+            });
+        });
+        it('should abort on truthy return value', function(done) {
+            player.plugins.first = {
+                preSongQueued: function(song) {
+                    return 'vetoed';
+                }
+            };
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                err.should.equal('vetoed');
+                done();
+            });
+        });
+        it('should abort on rejected promise', function(done) {
+            player.plugins.first = {
+                preSongQueued: function(song) {
+                    return Promise.reject('vetoed');
+                }
+            };
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                err.should.equal('vetoed');
+                done();
+            });
+        });
+        it('should not pass a callback to synchronous hooks', function(done) {
+            player.on('preSongQueued', function(song, unused) {
+                should.not.exist(unused);
+            });
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                should.equal(err, null);
+                done();
+            });
+        });
+        it('should not catch exceptions thrown after hooks have finished', function() {
+            player.plugins.first = {
+                preSongQueued: asyncHook(function(song, callback) {
+                    callback();
+                })
+            };
+            player.plugins.second = {
+                preSongQueued: function(song) {}
+            };
+            (function() {
+                player.callHooksAsync('preSongQueued', [{}], function() {
+                    throw new Error('dummyError');
+                });
+            }).should.throw('dummyError');
+        });
+        it('should abort if a hook throws', function(done) {
+            player.plugins.first = {
+                preSongQueued: function(song) {
+                    throw new Error('dummyError');
+                }
+            };
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                err.message.should.equal('dummyError');
+                done();
+            });
+        });
+        it('should abort if a hook times out', function(done) {
+            player.config.hookTimeout = 10;
+            player.plugins.first = {
+                preSongQueued: asyncHook(function(song, callback) {})
+            };
+            player.callHooksAsync('preSongQueued', [{}], function(err) {
+                player.config.hookTimeout = 5000;
+                err.should.be.ok;
+                done();
+            });
+        });
+    });
+
     describe('#skipSongs()', function() {
         var player;
         var playedQueueSize = 3; // TODO: better handling of config variables here
@@ -88,6 +337,27 @@ describe('Player', function() {
             player.skipSongs((playedQueueSize + 100) * -1);
             player.queue.should.deep.equal(_.last(exampleQueue, playedQueueSize));
         });
+        it('should move skipped songs to end of queue in noConsume mode', function() {
+            player.setPlaybackMode('noConsume');
+            player.skipSongs(2);
+            player.queue.should.deep.equal(
+                _.rest(exampleQueue, 2).concat(_.first(exampleQueue, 2)));
+            player.playedQueue.length.should.equal(0);
+        });
+        it('should move songs from end of queue when skipping to prev songs ' +
+                'in noConsume mode', function() {
+            player.setPlaybackMode('noConsume');
+            player.skipSongs(-1);
+            player.queue.should.deep.equal(
+                [_.last(exampleQueue)].concat(_.initial(exampleQueue)));
+        });
+        it('should queue played songs again when skipping past end of queue ' +
+                'in repeatAll mode', function() {
+            player.setPlaybackMode('repeatAll');
+            player.skipSongs(exampleQueue.length);
+            player.queue.should.deep.equal(exampleQueue);
+            player.playedQueue.length.should.equal(0);
+        });
     });
 
     describe('#shuffleQueue()', function() {
@@ -106,6 +376,130 @@ describe('Player', function() {
             }
         });
     });
+    describe('#undo()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({
+                logger: dummyLogger,
+                config: _.extend({}, nodeplayer.config.getDefaultConfig())
+            });
+            player.prepareSongs = _.noop;
+            player.addToQueue(dummyClone(_.first(exampleQueue, 4)));
+            player.history.clear();
+        });
+        it('should undo and redo adding songs', function() {
+            var entryIDs = player.getEntryIDs();
+            player.addToQueue([dummyClone(exampleQueue[4])], 2);
+            var added = player.queue[2];
+
+            should.not.exist(player.undo());
+            player.getEntryIDs().should.deep.equal(entryIDs);
+            should.not.exist(player.redo());
+            player.queue[2].should.equal(added);
+            player.redo().should.equal('nothing to redo');
+        });
+        it('should undo removing and moving songs', function() {
+            var entryIDs = player.getEntryIDs();
+            player.removeFromQueue(1, 2);
+            player.moveInQueue(1, 0);
+            player.history.getState().undo.type.should.equal('move');
+
+            player.undo();
+            player.undo();
+            player.getEntryIDs().should.deep.equal(entryIDs);
+            player.undo().should.equal('nothing to undo');
+        });
+        it('should undo shuffling without interrupting now playing', function() {
+            var entryIDs = player.getEntryIDs();
+            player.playbackStart = 1;
+            player.shuffleQueue();
+
+            // now playing ended meanwhile, the next song is left playing
+            player.queue.shift();
+            var nowPlaying = player.queue[0].entryID;
+            player.undo();
+            player.getEntryIDs().should.deep.equal(
+                [nowPlaying].concat(_.without(_.rest(entryIDs), nowPlaying)));
+            player.playbackStart.should.equal(1);
+        });
+        it('should only keep undoHistorySize operations', function() {
+            player.config.undoHistorySize = 2;
+            player.shuffleQueue();
+            player.shuffleQueue();
+            player.shuffleQueue();
+            player.history.getState().undoCnt.should.equal(2);
+        });
+        it('should tell what would be undone next', function(done) {
+            player.on('onUndoHistoryChange', function(state) {
+                state.undo.type.should.equal('remove');
+                state.undo.songs[0].songID.should.equal(exampleQueue[3].songID);
+                should.not.exist(state.redo);
+                done();
+            });
+            player.removeFromQueue(3);
+        });
+    });
+    describe('#applyOp()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+            player.prepareSongs = _.noop;
+        });
+        it('should keep entry IDs of replicated songs', function() {
+            var songs = _.map(_.first(exampleQueue, 3), function(song) {
+                return new Song(song);
+            });
+            should.not.exist(player.applyOp({type: 'add', data: {songs: songs, pos: 0}}));
+            player.applyOp({type: 'order', data: {entryIDs: [songs[2].entryID]}});
+            player.applyOp({type: 'remove', data: {entryIDs: [songs[0].entryID]}});
+            player.getEntryIDs().should.deep.equal([songs[2].entryID, songs[1].entryID]);
+            player.applyOp({type: 'foo'}).should.equal('unknown operation: foo');
+        });
+        it('should follow playback of another instance', function() {
+            player.addToQueue(dummyClone(_.first(exampleQueue, 3)));
+            player.alignPlayback({
+                entryID: player.queue[2].entryID,
+                state: 'playing',
+                position: 5000
+            }, 500);
+            player.queue[0].songID.should.equal(exampleQueue[2].songID);
+            player.playbackPosition.should.equal(5000);
+            player.playbackState.playWhenReady.should.equal(true);
+        });
+        it('should go back to a song that ended too early', function() {
+            player.addToQueue(dummyClone(_.first(exampleQueue, 3)));
+            var entryID = player.queue[0].entryID;
+            player.skipSongs(2);
+            player.alignPlayback({entryID: entryID, state: 'paused', position: 0}, 500);
+            player.queue[0].entryID.should.equal(entryID);
+            player.queue.length.should.equal(3);
+        });
+        it('should replace substituted songs', function() {
+            var songs = [new Song(exampleQueue[0]), new Song(exampleQueue[1])];
+            player.applyOp({type: 'add', data: {songs: songs, pos: 0}});
+            var substitute = new Song(exampleQueue[2], songs[1].entryID);
+            should.not.exist(player.applyOp({type: 'replace', data: {songs: [substitute]}}));
+            player.getEntryIDs().should.deep.equal(_.pluck(songs, 'entryID'));
+            player.queue[1].songID.should.equal(exampleQueue[2].songID);
+        });
+        it('should log songs that end without being consumed or are repeated', function() {
+            var ops = [];
+            player.on('onOperation', function(op) {
+                ops.push(op.type);
+            });
+            player.addToQueue(dummyClone(_.first(exampleQueue, 2)));
+
+            player.playbackMode = 'noConsume';
+            player.endOfSong();
+            player.playbackMode = 'repeatAll';
+            player.endOfSong();
+            player.endOfSong();
+            player.queue.length.should.equal(2);
+            ops.should.deep.equal(['add', 'order', 'add']);
+        });
+    });
     describe('#addToQueue()', function() {
         var player;
 
@@ -122,53 +516,126 @@ describe('Player', function() {
         });
         it('should add song correctly', function() {
             player.addToQueue([_.first(exampleQueue)]);
-            _.first(player.queue).should.deep.equal(_.first(exampleQueue));
+            _.omit(dummyClone(_.first(player.queue)), 'entryID', 'timeAdded').should.deep.equal(
+                _.extend(_.omit(_.first(exampleQueue), 'timeAdded'), {duration: 317000}));
         });
         it('should add multiple songs correctly', function() {
             player.addToQueue(_.first(exampleQueue, 3));
-            player.queue.should.deep.equal(_.first(exampleQueue, 3));
+            songIDs(player.queue).should.deep.equal(songIDs(_.first(exampleQueue, 3)));
         });
         it('should add song to provided position', function() {
             player.addToQueue(_.first(exampleQueue, 3));
             player.addToQueue([exampleQueue[3]], 1);
-            player.queue.should.deep.equal([
+            songIDs(player.queue).should.deep.equal(songIDs([
                 exampleQueue[0],
                 exampleQueue[3],
                 exampleQueue[1],
                 exampleQueue[2]
-            ]);
+            ]));
         });
         it('should add multiple songs to provided position', function() {
             player.addToQueue(_.first(exampleQueue, 3));
             player.addToQueue(_.last(exampleQueue, 2), 1);
-            player.queue.should.deep.equal([
+            songIDs(player.queue).should.deep.equal(songIDs([
                 exampleQueue[0],
                 exampleQueue[exampleQueue.length - 2],
                 exampleQueue[exampleQueue.length - 1],
                 exampleQueue[1],
                 exampleQueue[2]
-            ]);
+            ]));
+        });
+        it('should add songs before auto-added songs', function() {
+            player.addToQueue(_.map(_.first(exampleQueue, 3), function(song) {
+                return _.extend({}, song, {autoAdded: true});
+            }));
+            player.addToQueue([exampleQueue[3]]);
+            player.addToQueue([_.extend({}, exampleQueue[4], {autoAdded: true})]);
+            songIDs(player.queue).should.deep.equal(songIDs([
+                exampleQueue[0],
+                exampleQueue[3],
+                exampleQueue[1],
+                exampleQueue[2],
+                exampleQueue[4]
+            ]));
         });
         it('should add song to end of queue if provided position is huge', function() {
             player.addToQueue(_.first(exampleQueue, 3));
             player.addToQueue([_.last(exampleQueue)], 100000);
-            player.queue.should.deep.equal([
+            songIDs(player.queue).should.deep.equal(songIDs([
                 exampleQueue[0],
                 exampleQueue[1],
                 exampleQueue[2],
                 exampleQueue[exampleQueue.length - 1]
-            ]);
+            ]));
+        });
+        it('should give every queued song a unique entry ID', function() {
+            player.addToQueue([exampleQueue[0], exampleQueue[0]]);
+            player.queue[0].entryID.should.be.a('string');
+            player.queue[0].entryID.should.not.equal(player.queue[1].entryID);
+            player.queue[0].should.not.equal(exampleQueue[0]);
+        });
+        it('should not add songs with invalid duration', function(done) {
+            player.addToQueue([{title: 'foo', songID: 'bar', backendName: 'baz', duration: 'x'}],
+                    null, function(err, added, rejected) {
+                added.length.should.equal(0);
+                rejected[0].err.should.match(/duration/);
+                done();
+            });
+        });
+        it('should add all songs in a playlist', function() {
+            player.playlists.createPlaylist('foo', _.first(exampleQueue, 3));
+            player.addToQueue('foo');
+            _.pluck(player.queue, 'songID').should.deep.equal(
+                _.pluck(_.first(exampleQueue, 3), 'songID'));
+        });
+        it('should add a slice of a playlist', function() {
+            player.playlists.createPlaylist('foo', _.first(exampleQueue, 4));
+            player.addToQueue({playlist: 'foo', pos: 1, cnt: 2});
+            _.pluck(player.queue, 'songID').should.deep.equal(
+                [exampleQueue[1].songID, exampleQueue[2].songID]);
+        });
+        it('should report songs rejected by preSongQueued hooks', function(done) {
+            player.plugins.dummy = {
+                preSongQueued: asyncHook(function(song, callback) {
+                    callback(song.songID === exampleQueue[1].songID ? 'vetoed' : null);
+                })
+            };
+            player.addToQueue(dummyClone(_.first(exampleQueue, 3)), null,
+                    function(err, added, rejected) {
+                should.equal(err, null);
+                added.length.should.equal(2);
+                rejected.length.should.equal(1);
+                rejected[0].err.should.equal('vetoed');
+                player.queue.length.should.equal(2);
+                done();
+            });
+        });
+        it('should not add anything if preSongsQueued hook errors', function(done) {
+            player.plugins.dummy = {
+                preSongsQueued: function(songs, pos) {
+                    return Promise.reject('vetoed');
+                }
+            };
+            player.addToQueue(dummyClone(_.first(exampleQueue, 3)), null, function(err) {
+                err.should.equal('vetoed');
+                player.queue.length.should.equal(0);
+                done();
+            });
+        });
+        it('should not add anything for unknown playlists', function() {
+            player.addToQueue('thisPlaylistShouldNotExist');
+            player.queue.length.should.equal(0);
         });
         it('should add song to beginning of queue (not replacing now playing!) ' +
                 'if provided position is negative', function() {
             player.addToQueue(_.first(exampleQueue, 3));
             player.addToQueue([_.last(exampleQueue)], -100000);
-            player.queue.should.deep.equal([
+            songIDs(player.queue).should.deep.equal(songIDs([
                 exampleQueue[0],
                 exampleQueue[exampleQueue.length - 1],
                 exampleQueue[1],
                 exampleQueue[2]
-            ]);
+            ]));
         });
     });
     describe('#removeFromQueue()', function() {
@@ -180,9 +647,19 @@ describe('Player', function() {
             player.prepareSongs = _.noop;
         });
         it('should remove song from provided pos', function() {
-            player.removeFromQueue(1);
+            songIDs(player.removeFromQueue(1)).should.deep.equal([exampleQueue[1].songID]);
             player.queue.should.deep.equal(_.without(exampleQueue, exampleQueue[1]));
         });
+        it('should remove songs without calling hooks if told to', function() {
+            player.plugins.dummy = {
+                preSongsRemoved: function() {
+                    throw new Error('hooks should not be called');
+                }
+            };
+            songIDs(player.removeFromQueue(1, 2, true)).should.deep.equal(
+                songIDs(exampleQueue.slice(1, 3)));
+            player.queue.length.should.equal(exampleQueue.length - 2);
+        });
         it('should remove now playing if pos is 0', function() {
             player.playbackPosition = true;
             player.playbackStart = true;
@@ -193,6 +670,18 @@ describe('Player', function() {
             should.equal(player.playbackStart, null);
             should.equal(player.songEndTimeout, null);
         });
+        it('should not remove songs if preSongsRemoved hook errors', function(done) {
+            player.plugins.dummy = {
+                preSongsRemoved: function(pos, cnt) {
+                    return 'vetoed';
+                }
+            };
+            player.removeFromQueue(1, 1, function(err) {
+                err.should.equal('vetoed');
+                player.queue.should.deep.equal(exampleQueue);
+                done();
+            });
+        });
         it('should remove multiple songs from provided pos', function() {
             player.removeFromQueue(1, 2);
             player.queue.should.deep.equal(_.without(
@@ -201,6 +690,22 @@ describe('Player', function() {
                 exampleQueue[2]
             ));
         });
+        it('should remove song by entry ID', function(done) {
+            player.queue[2].entryID = 'eFoo';
+            player.removeFromQueue('eFoo', 1, function(err, songs) {
+                should.not.exist(err);
+                songs[0].songID.should.equal(exampleQueue[2].songID);
+                player.queue.length.should.equal(exampleQueue.length - 1);
+                done();
+            });
+        });
+        it('should return error for unknown entry IDs', function(done) {
+            player.removeFromQueue('eFoo', 1, function(err) {
+                err.should.be.ok;
+                player.queue.length.should.equal(exampleQueue.length);
+                done();
+            });
+        });
     });
     describe('#searchQueue()', function() {
         var player;
@@ -253,9 +758,53 @@ describe('Player', function() {
                 done();
             });
         });
+        it('should report search results rejected by preAddSearchResult', function(done) {
+            player.plugins.dummy = {
+                preAddSearchResult: asyncHook(function(song, callback) {
+                    callback(song.songID === 'dummyId0' ? 'vetoed' : null);
+                })
+            };
+            player.searchBackends({terms: 'dummySearch'}, function(results, info) {
+                should.not.exist(results.dummy.songs.dummyId0);
+                info.vetoed.dummy.dummyId0.should.equal('vetoed');
+                done();
+            });
+        });
         it('should return empty object if backend errors', function(done) {
-            player.searchBackends({terms: 'shouldCauseError'}, function(results) {
+            player.searchBackends({terms: 'shouldCauseError'}, function(results, info) {
+                results.should.deep.equal({});
+                info.failed.dummy.should.be.ok;
+                done();
+            });
+        });
+        it('should return partial results if a backend times out', function(done) {
+            player.config.searchTimeout = 10;
+            player.backends.hungBackend = {
+                name: 'hung',
+                search: _.noop
+            };
+            player.searchBackends({terms: 'dummySearch'}, function(results, info) {
+                player.config.searchTimeout = 10000;
+                results.should.deep.equal(dummyResults);
+                info.timedOut.should.deep.equal(['hung']);
+                done();
+            });
+        });
+        it('should skip backends with a tripped circuit breaker', function(done) {
+            player.health.setState('dummyBackend', 'open');
+            player.searchBackends({terms: 'dummySearch'}, function(results, info) {
                 results.should.deep.equal({});
+                info.unavailable.should.deep.equal(['dummyBackend']);
+                player.health.close();
+                done();
+            });
+        });
+        it('should return merged and paginated results if requested', function(done) {
+            var query = {terms: 'dummySearch', merge: true, offset: 2, limit: 3};
+            player.searchBackends(query, function(results, info) {
+                info.merged.total.should.equal(_.size(dummyResults.dummy.songs));
+                info.merged.songs.length.should.equal(3);
+                info.merged.songs[0].song.songID.should.equal('dummyId7');
                 done();
             });
         });
@@ -306,6 +855,93 @@ describe('Player', function() {
             });
         });
     });
+    describe('#prepareSongs()', function() {
+        var player;
+        var preparing;
+        var prepared;
+        var fakeBackend = {
+            prepareSong: function(song, progCallback, errCallback) {
+                preparing[song.songID] = function() {
+                    prepared[song.songID] = true;
+                    progCallback(song, null, true);
+                };
+                return function(reason) {
+                    errCallback(song, reason);
+                };
+            },
+            isPrepared: function(song) {
+                return !!prepared[song.songID];
+            }
+        };
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+            player.queue = dummyClone(exampleQueue);
+            player.backends.dummyBackend = fakeBackend;
+            player.songsPreparing.dummyBackend = {};
+            player.startPlayback = _.noop;
+            player.setPrepareTimeout = _.noop;
+            player.config.prefetchDepth = 2;
+            player.config.prepareConcurrency = 1;
+
+            preparing = {};
+            prepared = {};
+        });
+        afterEach(function() {
+            player.config.prefetchDepth = 1;
+            player.config.prepareConcurrency = 1;
+        });
+        it('should prepare songs within prefetch window one at a time', function() {
+            player.prepareSongs();
+            _.keys(preparing).should.deep.equal([exampleQueue[0].songID]);
+
+            preparing[exampleQueue[0].songID]();
+            _.keys(preparing).length.should.equal(2);
+
+            preparing[exampleQueue[1].songID]();
+            preparing[exampleQueue[2].songID]();
+            _.keys(preparing).length.should.equal(3);
+            player.numPreparing().should.equal(0);
+        });
+        it('should prepare up to prepareConcurrency songs at once', function() {
+            player.config.prepareConcurrency = 3;
+            player.prepareSongs();
+            _.keys(preparing).should.deep.equal(_.pluck(_.first(exampleQueue, 3), 'songID'));
+        });
+        it('should always prepare now playing first', function() {
+            player.queue.shift();
+            player.prepareSongs();
+            player.queue.unshift(dummyClone(exampleQueue[0]));
+            player.prepareSongs();
+            _.keys(preparing).should.deep.equal(
+                [exampleQueue[1].songID, exampleQueue[0].songID]);
+        });
+        it('should cancel preparing songs outside prefetch window', function() {
+            player.config.prepareConcurrency = 3;
+            player.prepareSongs();
+            player.config.prefetchDepth = 0;
+            player.prepareSongs();
+
+            _.keys(player.songsPreparing.dummyBackend).should.deep.equal(
+                [exampleQueue[0].songID]);
+            player.queue.length.should.equal(exampleQueue.length);
+        });
+        it('should not count removed songs as failures of their backend', function() {
+            player.config = _.extend({}, player.config, {prepareFallback: true});
+            player.backends.other = {
+                search: function() {
+                    throw new Error('songs should not be substituted');
+                }
+            };
+            player.queue.push(dummyClone(exampleQueue[1]));
+            player.prepareSongs();
+            preparing[exampleQueue[0].songID]();
+
+            player.removeFromQueue(1);
+            player.health.getHealth('dummyBackend').failures.should.equal(0);
+            _.last(player.queue).songID.should.equal(exampleQueue[1].songID);
+        });
+    });
     describe('#endOfSong()', function() {
         var player;
 
@@ -319,6 +955,19 @@ describe('Player', function() {
             player.endOfSong();
             _.last(player.playedQueue).should.deep.equal(_.first(exampleQueue));
         });
+        it('should keep now playing song in repeatOne mode', function() {
+            player.setPlaybackMode('repeatOne');
+            player.endOfSong();
+            player.queue.should.deep.equal(exampleQueue);
+            player.playedQueue.length.should.equal(0);
+        });
+        it('should move now playing song to end of queue in noConsume mode', function() {
+            player.setPlaybackMode('noConsume');
+            player.endOfSong();
+            _.last(player.queue).should.deep.equal(_.first(exampleQueue));
+            (player.queue[0] === null).should.be.ok;
+            player.playedQueue.length.should.equal(0);
+        });
         it('should clear playback state of now playing song', function() {
             player.endOfSong();
             (player.playbackPosition === null).should.be.ok;
@@ -429,6 +1078,169 @@ describe('Player', function() {
             (player.playbackStart === null).should.be.ok;
         });
     });
+    describe('transport', function() {
+        var player;
+        var prepared;
+
+        beforeEach(function() {
+            prepared = true;
+            player = new Player({logger: dummyLogger});
+            player.backends.fake = {
+                isPrepared: function() {
+                    return prepared;
+                },
+                prepareSong: function() {
+                    return _.noop;
+                }
+            };
+            player.songsPreparing.fake = {};
+            player.queue = [
+                {songID: 'foo', backendName: 'fake', duration: 100000},
+                {songID: 'bar', backendName: 'fake', duration: 100000}
+            ];
+        });
+        afterEach(function() {
+            player.stop();
+        });
+        it('should be stopped by default', function() {
+            player.getPlaybackState().state.should.equal('stopped');
+        });
+        it('should return error when playing an empty queue', function() {
+            player.queue = [];
+            player.play().should.be.ok;
+            player.getPlaybackState().state.should.equal('stopped');
+        });
+        it('should start playback of prepared song and call onPlaybackStateChange', function() {
+            var states = [];
+            player.on('onPlaybackStateChange', function(state, oldState, playbackState) {
+                states.push(oldState + ' -> ' + state);
+                playbackState.state.should.equal(state);
+            });
+
+            should.not.exist(player.play());
+            states.should.deep.equal(['stopped -> buffering', 'buffering -> playing']);
+            player.playbackStart.should.be.ok;
+        });
+        it('should buffer until now playing is prepared', function() {
+            prepared = false;
+            player.play();
+            player.getPlaybackState().state.should.equal('buffering');
+            should.not.exist(player.playbackStart);
+        });
+        it('should pause and not start playback when song gets prepared', function() {
+            player.play();
+            should.not.exist(player.pause());
+            player.getPlaybackState().state.should.equal('paused');
+
+            player.onQueueModify();
+            (player.playbackStart === null).should.be.ok;
+            player.getPlaybackState().state.should.equal('paused');
+        });
+        it('should toggle between playing and paused', function() {
+            player.togglePause();
+            player.getPlaybackState().state.should.equal('playing');
+            player.togglePause();
+            player.getPlaybackState().state.should.equal('paused');
+            player.togglePause();
+            player.getPlaybackState().state.should.equal('playing');
+        });
+        it('should pass now playing song to onSongPause', function(done) {
+            player.play();
+            player.on('onSongPause', function(song) {
+                song.songID.should.equal('foo');
+                done();
+            });
+            player.pause();
+        });
+        it('should reset position when stopped', function() {
+            player.play();
+            player.seek(5000);
+            should.not.exist(player.stop());
+            player.getPlaybackState().state.should.equal('stopped');
+            player.getPlaybackState().position.should.equal(0);
+        });
+        it('should report exact playback position', function() {
+            player.play();
+            player.seek(5000);
+            player.playbackStart -= 1000;
+            player.getPlaybackState().position.should.be.within(6000, 6100);
+            player.getPlaybackState().duration.should.equal(100000);
+        });
+        it('should seek while paused and resume from there', function() {
+            player.play();
+            player.pause();
+            should.not.exist(player.seek(42000));
+            player.play();
+            player.playbackPosition.should.equal(42000);
+        });
+        it('should return error when seeking outside of song', function() {
+            player.seek(-1).should.be.ok;
+            player.seek(100001).should.be.ok;
+            player.seek('foo').should.be.ok;
+            player.queue = [];
+            player.seek(0).should.be.ok;
+        });
+        it('should clamp relative seeks to the song', function() {
+            player.seek(99000);
+            should.not.exist(player.seekRelative(5000));
+            player.playbackPosition.should.equal(100000);
+            should.not.exist(player.seekRelative(-200000));
+            player.playbackPosition.should.equal(0);
+        });
+        it('should stop and play songs queued later at end of queue', function() {
+            player.play();
+            player.skipSongs(2);
+            player.getPlaybackState().state.should.equal('stopped');
+            player.getPlaybackState().playWhenReady.should.equal(true);
+        });
+    });
+    describe('#restoreState()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+        });
+        it('should restore queue, volume and playback mode', function() {
+            player.restoreState({
+                queue: dummyClone(exampleQueue),
+                playedQueue: [],
+                volume: 0.5,
+                playbackMode: 'repeatAll'
+            });
+            songIDs(player.queue).should.deep.equal(songIDs(exampleQueue));
+            player.volume.should.equal(0.5);
+            player.playbackMode.should.equal('repeatAll');
+        });
+        it('should keep entry IDs of restored songs', function() {
+            var queue = dummyClone(exampleQueue);
+            queue[0].entryID = 'eFoo';
+            player.restoreState({queue: queue});
+            player.queue[0].entryID.should.equal('eFoo');
+            player.queue[0].duration.should.equal(317000);
+        });
+        it('should resume from position at time of saving', function() {
+            player.restoreState({
+                queue: dummyClone(exampleQueue),
+                playbackPosition: 1000,
+                playbackStart: 5000,
+                savedAt: 7000
+            });
+            player.playbackPosition.should.equal(3000);
+            (player.playbackStart === null).should.be.ok;
+        });
+        it('should save state whenever the queue is modified', function() {
+            var saved = null;
+            player.stateStore = {
+                save: function(state) {
+                    saved = dummyClone(state);
+                }
+            };
+            player.prepareSongs = _.noop;
+
+            player.addToQueue([dummyClone(exampleQueue[0])]);
+            saved.queue.length.should.equal(1);
+        });
+    });
     describe('#prepareError()', function() {
         var player;
 
@@ -462,18 +1274,159 @@ describe('Player', function() {
 
             player.prepareError(exampleQueue[2], 'dummyError');
         });
+        describe('with prepareFallback', function() {
+            var otherResults;
+
+            beforeEach(function() {
+                player.config = _.extend({}, player.config, {prepareFallback: true});
+                player.queue = _.map(dummyClone(exampleQueue), function(song) {
+                    return new Song(song);
+                });
+                player.backends.dummyBackend = {};
+                player.backends.other = {
+                    name: 'other',
+                    search: function(query, callback) {
+                        callback({songs: otherResults});
+                    }
+                };
+                otherResults = {
+                    otherSong: _.extend(_.omit(exampleQueue[2], 'userID'), {
+                        songID: 'otherSong',
+                        backendName: 'other',
+                        duration: parseInt(exampleQueue[2].duration) + 1000
+                    })
+                };
+            });
+            it('should substitute song found in another backend', function(done) {
+                var entry = player.queue[2];
+                player.on('onSongSubstitute', function(oldSong, newSong) {
+                    oldSong.should.equal(entry);
+                    newSong.should.equal(player.queue[2]);
+                    newSong.backendName.should.equal('other');
+                    newSong.entryID.should.equal(entry.entryID);
+                    newSong.userID.should.equal(entry.userID);
+                    done();
+                });
+                player.removeFromQueue = function() {
+                    throw new Error('song should not be removed');
+                };
+                player.prepareError(entry, 'dummyError');
+            });
+            it('should not substitute songs with a different title in any script', function(done) {
+                player.queue[2].artist = otherResults.otherSong.artist = 'Кино';
+                player.queue[2].title = 'Группа крови';
+                otherResults.otherSong.title = 'Кукушка';
+                player.removeFromQueue = function(i) {
+                    i.should.equal(2);
+                    done();
+                };
+                player.prepareError(player.queue[2], 'dummyError');
+            });
+            it('should not search for songs without artist or title', function(done) {
+                player.queue[2].artist = otherResults.otherSong.artist = '';
+                player.backends.other.search = function() {
+                    throw new Error('should not search');
+                };
+                player.removeFromQueue = function(i) {
+                    i.should.equal(2);
+                    done();
+                };
+                player.prepareError(player.queue[2], 'dummyError');
+            });
+            it('should remove song if no match is found', function(done) {
+                otherResults.otherSong.title = 'something else';
+                player.removeFromQueue = function(i) {
+                    i.should.equal(2);
+                    done();
+                };
+                player.prepareError(player.queue[2], 'dummyError');
+            });
+        });
     });
-    describe('#setPrepareTimeout()', function() {
+    describe('#retryPrepare()', function() {
         var player;
-        var song;
+        var attempts;
 
         beforeEach(function() {
             player = new Player({logger: dummyLogger});
-            player.config.songPrepareTimeout = 0;
+            player.queue = [new Song(exampleQueue[0])];
+            player.songsPreparing.dummyBackend = {};
+            player.backends.dummyBackend = {
+                isPrepared: function() {
+                    return false;
+                },
+                prepareSong: function(song, progCallback, errCallback) {
+                    attempts++;
+                    errCallback(song, 'error ' + attempts);
+                }
+            };
+            player.setPrepareTimeout = _.noop;
+            player.config.prepareRetries = 2;
+            player.config.prepareRetryDelayMs = 1;
+            player.config.prepareRetryMaxDelayMs = 2;
+            attempts = 0;
+        });
+        afterEach(function() {
+            player.config.prepareRetries = 3;
+            player.config.prepareRetryDelayMs = 1000;
+            player.config.prepareRetryMaxDelayMs = 30000;
+        });
+        it('should retry with backoff before removing song', function(done) {
+            var song = player.queue[0];
+            var retries = [];
+            player.on('onSongPrepareRetry', function(retried, err, cnt, delay) {
+                retried.should.equal(song);
+                song.prepareRetries.should.equal(cnt);
+                retries.push([err, delay]);
+            });
+            player.on('onSongPrepareError', function(failed, err) {
+                retries.should.deep.equal([['error 1', 1], ['error 2', 2]]);
+                err.should.equal('error 3');
+                player.getEntryPos(song.entryID).should.equal(-1);
+                done();
+            });
+            player.prepareSongs();
+        });
+        it('should retry and remove songs that have been moved', function(done) {
+            player.queue.push(new Song(exampleQueue[1]));
+            var song = player.queue[1];
+            var retries = 0;
+            player.on('onSongPrepareRetry', function(retried) {
+                retries += retried === song ? 1 : 0;
+            });
+            player.on('onSongPrepareError', function(failed) {
+                if (failed === song) {
+                    retries.should.equal(2);
+                    player.getEntryPos(song.entryID).should.equal(-1);
+                    done();
+                }
+            });
+            player.moveInQueue(1, 0);
+        });
+        it('should not retry songs removed from the queue', function(done) {
+            player.config.prepareRetryDelayMs = 20;
+            player.prepareSongs();
+            player.queue[0].prepareRetries.should.equal(1);
+            dummyClone(player.getState()).queue[0].prepareRetries.should.equal(1);
+            player.removeFromQueue(0);
+            setTimeout(function() {
+                attempts.should.equal(1);
+                done();
+            }, 40);
+        });
+    });
+    describe('#setPrepareTimeout()', function() {
+        var player;
+        var song;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+            player.config.songPrepareTimeout = 0;
             song = _.clone(exampleQueue[0]);
             song.cancelPrepare = _.noop;
         });
         afterEach(function() {
+            player.config.songPrepareTimeout = 10000;
             if (song.prepareTimeout) {
                 clearTimeout(song.prepareTimeout);
             }
@@ -503,6 +1456,13 @@ describe('Player', function() {
             player.queue = dummyClone(exampleQueue);
             player.prepareSongs = _.noop;
         });
+        it('should move songs by entry ID', function() {
+            player.queue[3].entryID = 'eFoo';
+            player.queue[1].entryID = 'eBar';
+            player.moveInQueue('eFoo', 'eBar');
+            player.queue[1].songID.should.equal(exampleQueue[3].songID);
+            should.equal(player.moveInQueue('eBaz', 0), null);
+        });
         it('should correctly move a single song backward', function() {
             player.moveInQueue(2, 1);
             player.queue[0].should.deep.equal(exampleQueue[0]);
@@ -548,6 +1508,18 @@ describe('Player', function() {
             player.queue[l - 2].should.deep.equal(exampleQueue[l - 1]);
             player.queue[l - 1].should.deep.equal(exampleQueue[l - 2]);
         });
+        it('should not move songs if preSongsMoved hook errors', function(done) {
+            player.plugins.dummy = {
+                preSongsMoved: asyncHook(function(from, to, cnt, callback) {
+                    callback('vetoed');
+                })
+            };
+            player.moveInQueue(1, 2, 1, function(err) {
+                err.should.equal('vetoed');
+                player.queue.should.deep.equal(exampleQueue);
+                done();
+            });
+        });
         it('should return error and not do anything for invalid ranges', function() {
             var l = exampleQueue.length;
             should.equal(null, player.moveInQueue(-1, 2, 2));
@@ -557,5 +1529,1632 @@ describe('Player', function() {
             should.equal(null, player.moveInQueue(l - 1, l));
             player.queue.should.deep.equal(exampleQueue);
         });
+        it('should return songs to be moved', function() {
+            songIDs(player.moveInQueue(1, 3, 2)).should.deep.equal(
+                songIDs(exampleQueue.slice(1, 3)));
+        });
+    });
+    describe('#applyQueueOrder()', function() {
+        var player;
+
+        beforeEach(function() {
+            player = new Player({logger: dummyLogger});
+            player.prepareSongs = _.noop;
+            player.config.queueOrder = 'roundRobin';
+            player.queue = _.map(['a', 'a', 'a', 'b'], function(userID, i) {
+                return new Song(_.extend({}, exampleQueue[i], {userID: userID, timeAdded: i}));
+            });
+        });
+        afterEach(function() {
+            player.config.queueOrder = 'none';
+        });
+        it('should order songs when adding and moving them', function() {
+            player.addToQueue([_.extend({}, exampleQueue[4], {userID: 'c'})]);
+            songIDs(player.queue).should.deep.equal(songIDs([
+                exampleQueue[0],
+                exampleQueue[1],
+                exampleQueue[3],
+                exampleQueue[4],
+                exampleQueue[2]
+            ]));
+
+            player.moveInQueue(4, 1);
+            player.queue[1].songID.should.equal(exampleQueue[2].songID);
+            player.queue[1].pinned.should.equal(true);
+        });
+        it('should only let admins move songs', function() {
+            player.config = _.extend({}, player.config, {
+                permissions: true,
+                roles: {admin: 'admin', dj: 'dj'}
+            });
+            player.moveInQueue(3, 1, 1, function(err) {
+                err.should.contain('roundRobin');
+            }, 'dj');
+            player.moveInQueue(3, 1, 1, function(err) {
+                err.should.contain('roundRobin');
+            }, 'b');
+            player.queue[3].userID.should.equal('b');
+
+            player.moveInQueue(3, 1, 1, function(err) {
+                should.not.exist(err);
+            }, 'admin');
+            player.queue[1].userID.should.equal('b');
+            player.queue[1].pinned.should.equal(true);
+        });
+        it('should keep pinned songs in place', function() {
+            should.equal(player.setPinned(player.queue[3].entryID, true), null);
+            player.setPinned('eFoo', true).should.be.ok;
+
+            player.moveInQueue(3, 1);
+            songIDs(player.queue).should.deep.equal(songIDs([
+                exampleQueue[0],
+                exampleQueue[3],
+                exampleQueue[1],
+                exampleQueue[2]
+            ]));
+
+            player.setPinned(1, false);
+            player.queue[1].songID.should.equal(exampleQueue[1].songID);
+        });
+    });
+    describe('#authorize()', function() {
+        var player;
+        var denied;
+
+        beforeEach(function() {
+            player = new Player({
+                logger: dummyLogger,
+                config: _.extend({}, nodeplayer.config.getDefaultConfig(), {
+                    permissions: true,
+                    roles: {alice: 'admin', bob: 'dj'}
+                })
+            });
+            player.prepareSongs = _.noop;
+            player.queue = _.map(['carol', 'dave', 'carol'], function(userID, i) {
+                return new Song(_.extend({}, exampleQueue[i], {userID: userID}));
+            });
+            denied = [];
+            player.on('onPermissionDenied', function(caller, operation, err) {
+                denied.push([caller, operation]);
+            });
+        });
+        it('should allow operations without a caller', function() {
+            should.equal(player.skipSongs(1), null);
+            should.equal(player.shuffleQueue(), null);
+            should.equal(player.setVolume(1), null);
+            denied.should.deep.equal([]);
+        });
+        it('should deny guests and return the reason', function() {
+            player.skipSongs(1, 'carol').should.be.a('string');
+            player.shuffleQueue('carol').should.be.a('string');
+            player.setPinned(1, true, 'bob').should.be.a('string');
+            should.equal(player.setPinned(1, true, 'alice'), null);
+            player.queue[0].songID.should.equal(exampleQueue[0].songID);
+            denied.should.deep.equal([
+                ['carol', 'skipSongs'],
+                ['carol', 'shuffleQueue'],
+                ['bob', 'setPinned']
+            ]);
+        });
+        it('should let guests only remove and move their own songs', function(done) {
+            player.removeFromQueue(1, 1, function(err) {
+                err.should.be.ok;
+                player.moveInQueue(2, 1, 1, function(err) {
+                    should.not.exist(err);
+                    player.removeFromQueue(1, 1, function(err, songs) {
+                        songs[0].userID.should.equal('carol');
+                        songIDs(player.queue).should.deep.equal(songIDs(_.first(exampleQueue, 2)));
+                        done(err);
+                    }, 'carol');
+                }, 'carol');
+            }, 'carol');
+        });
+        it('should cap volume for guests', function() {
+            should.equal(player.setVolume(0.8, 'carol'), null);
+            player.volume.should.equal(player.config.guestMaxVolume);
+            should.equal(player.setVolume(0.4, 'carol'), null);
+            player.volume.should.equal(0.4);
+            should.equal(player.setVolume(0.8, 'bob'), null);
+            player.volume.should.equal(0.8);
+            denied.should.deep.equal([]);
+        });
+        it('should queue songs as the caller', function(done) {
+            player.addToQueue([exampleQueue[3]], null, function(err, added) {
+                added[0].userID.should.equal('carol');
+                done(err);
+            }, 'carol');
+        });
+    });
+});
+
+describe('permissions', function() {
+    var config = _.extend({}, nodeplayer.config.getDefaultConfig(), {
+        roles: {alice: 'admin', bob: 'dj', eve: 'superuser'},
+        rolePermissions: {guest: {skipSongs: true}, dj: {skipSongs: false}}
+    });
+
+    it('should look up roles of callers', function() {
+        permissions.getRole(config, 'alice').should.equal('admin');
+        permissions.getRole(config, 'bob').should.equal('dj');
+        permissions.getRole(config, 'eve').should.equal('guest');
+        permissions.getRole(config, 'mallory').should.equal('guest');
+    });
+    it('should apply overridden rules', function() {
+        should.equal(permissions.check(config, 'skipSongs', 'mallory'), null);
+        permissions.check(config, 'skipSongs', 'bob').should.equal(
+            'djs are not allowed to skipSongs');
+        should.equal(permissions.check(config, 'skipSongs', 'alice'), null);
+        permissions.check(config, 'unknown', 'bob').should.be.ok;
+    });
+    it('should cap volume only for guests', function() {
+        permissions.getMaxVolume(config, 'mallory').should.equal(config.guestMaxVolume);
+        permissions.getMaxVolume(config, 'bob').should.equal(1);
+        permissions.getMaxVolume(_.extend({}, config, {
+            rolePermissions: {guest: {setVolume: true}}
+        }), 'mallory').should.equal(1);
+    });
+});
+
+describe('queueOrder', function() {
+    var songs = [
+        {songID: 'a1', userID: 'a', timeAdded: 3, upVotes: {b: true}},
+        {songID: 'a2', userID: 'a', timeAdded: 1},
+        {songID: 'b1', userID: 'b', timeAdded: 2, downVotes: {a: true}},
+        {songID: 'auto', timeAdded: 0, autoAdded: true, upVotes: {a: true, b: true}},
+        {songID: 'c1', userID: 'c', timeAdded: 4}
+    ];
+    var order = function(policy) {
+        return songIDs(queueOrder.orderQueue([{songID: 'np'}].concat(songs), policy));
+    };
+
+    it('should leave queue as it is without a policy', function() {
+        order('none').should.deep.equal(['np', 'a1', 'a2', 'b1', 'auto', 'c1']);
+    });
+    it('should order songs by policy with auto-added songs last', function() {
+        order('fifo').should.deep.equal(['np', 'a2', 'b1', 'a1', 'c1', 'auto']);
+        order('roundRobin').should.deep.equal(['np', 'a2', 'b1', 'c1', 'a1', 'auto']);
+        order('votes').should.deep.equal(['np', 'a1', 'a2', 'c1', 'b1', 'auto']);
+    });
+    it('should not move pinned songs', function() {
+        songs[2].pinned = true;
+        order('fifo').should.deep.equal(['np', 'a2', 'a1', 'b1', 'c1', 'auto']);
+        delete(songs[2].pinned);
+    });
+});
+
+describe('Song', function() {
+    it('should normalize fields', function() {
+        var song = new Song(exampleQueue[0]);
+        song.duration.should.equal(317000);
+        song.entryID.should.match(/^e/);
+    });
+    it('should validate required fields', function() {
+        should.not.exist(Song.validate(exampleQueue[0]));
+        Song.validate(_.omit(exampleQueue[0], 'title')).should.match(/title/);
+        Song.validate(_.extend({}, exampleQueue[0], {duration: -1})).should.be.ok;
+    });
+    it('should leave internal state out of serialization', function() {
+        var song = new Song(exampleQueue[0]);
+        song.songData = new Buffer(42);
+        song.beingDeleted = true;
+        JSON.parse(JSON.stringify(song)).should.not.have.any.keys('songData', 'beingDeleted');
+    });
+});
+
+describe('search', function() {
+    var song = function(backendName, songID, artist, title, duration, score) {
+        return {
+            backendName: backendName,
+            songID: songID,
+            artist: artist,
+            title: title,
+            duration: duration,
+            score: score
+        };
+    };
+
+    describe('#normalizeScores()', function() {
+        it('should scale scores between 0 and 1', function() {
+            _.pluck(search.normalizeScores([
+                song('a', '1', 'x', 'y', 1000, 50),
+                song('a', '2', 'x', 'y', 1000, 100),
+                song('a', '3', 'x', 'y', 1000, 150)
+            ]), 'score').should.deep.equal([0, 0.5, 1]);
+        });
+        it('should rank by order if songs are not scored', function() {
+            _.pluck(search.normalizeScores([
+                song('a', '1', 'x', 'y', 1000),
+                song('a', '2', 'x', 'y', 1000)
+            ]), 'score').should.deep.equal([1, 0.5]);
+        });
+    });
+    describe('#mergeResults()', function() {
+        it('should rank songs from all backends and group duplicates', function() {
+            var merged = search.mergeResults({
+                a: {songs: {
+                    1: song('a', '1', 'Daft Punk', 'One More Time', 320000, 10),
+                    2: song('a', '2', 'Daft Punk', 'Aerodynamic', 212000, 5)
+                }},
+                b: {songs: {
+                    3: song('b', '3', 'daft punk', 'One more time!', '321000', 0.3),
+                    4: song('b', '4', 'Daft Punk', 'One More Time', 600000, 0.9),
+                    5: song('b', '5', 'Justice', 'Genesis', 234000, 0.6)
+                }}
+            }, 3000);
+
+            _.map(merged, function(result) {
+                return result.song.songID;
+            }).should.deep.equal(['1', '4', '5', '2']);
+            _.pluck(merged[0].duplicates, 'songID').should.deep.equal(['3']);
+        });
+    });
+    describe('#isDuplicate()', function() {
+        it('should compare titles in any script', function() {
+            search.isDuplicate(song('a', '1', 'Кино', 'Группа крови', 285000),
+                song('b', '2', 'кино', 'Группа крови!', 286000), 3000).should.equal(true);
+            search.isDuplicate(song('a', '1', 'Кино', 'Группа крови', 285000),
+                song('b', '2', 'Кино', 'Звезда по имени Солнце', 285000), 3000)
+                .should.equal(false);
+            search.isDuplicate(song('a', '1', '宇多田ヒカル', '花束を君に', 282000),
+                song('b', '2', '宇多田ヒカル', '道', 282000), 3000).should.equal(false);
+            search.isDuplicate(song('a', '1', 'Beyoncé', 'Halo', 261000),
+                song('b', '2', 'Beyonce', 'HALO', 261000), 3000).should.equal(true);
+        });
+        it('should not match songs without artist or title', function() {
+            search.isDuplicate(song('a', '1', '', '???', 1000),
+                song('b', '2', '', '!!!', 1000), 3000).should.equal(false);
+        });
+    });
+    describe('#paginate()', function() {
+        it('should return requested page', function() {
+            var page = search.paginate([1, 2, 3, 4, 5], 1, 2);
+            page.should.deep.equal({songs: [2, 3], total: 5, offset: 1, limit: 2});
+        });
+    });
+});
+
+describe('config', function() {
+    var config = nodeplayer.config;
+
+    describe('#validateConfig()', function() {
+        it('should accept default config', function() {
+            config.validateConfig(config.getDefaultConfig(), config.getCoreSchema())
+                .should.deep.equal([]);
+        });
+        it('should report unknown keys, types, enums and ranges', function() {
+            var errors = config.validateConfig({
+                songDelay: 1000,
+                logLevel: 'loud',
+                prefetchDepth: -1,
+                persistState: 'yes',
+                plugins: ['rest', 42]
+            }, config.getCoreSchema());
+
+            errors.length.should.equal(5);
+            errors[0].should.match(/did you mean "songDelayMs"/);
+        });
+    });
+    describe('#setOverrides()', function() {
+        afterEach(function() {
+            config.setOverrides([]);
+        });
+        it('should return error for invalid overrides', function() {
+            should.not.exist(config.setOverrides(['logLevel=debug', 'express.port=8080']));
+            config.setOverrides(['logLevel']).should.be.ok;
+        });
+    });
+    describe('#getEnvName()', function() {
+        it('should convert keys into environment variable names', function() {
+            config.getEnvName('core', 'songDelayMs').should.equal('NODEPLAYER_SONG_DELAY_MS');
+            config.getEnvName('express', 'port').should.equal('NODEPLAYER_EXPRESS__PORT');
+        });
+    });
+    describe('#reloadConfig()', function() {
+        var home = path.join(os.tmpdir(), 'nodeplayer-test-home-' + process.pid);
+        var configPath;
+        var oldHome = process.env.HOME;
+        var schema = {
+            foo: {type: 'integer', live: true},
+            bar: {type: 'string'}
+        };
+
+        before(function() {
+            process.env.HOME = home;
+            process.env.NODE_ENV = 'development';
+            process.env.NODEPLAYER_TESTMODULE__BAR = 'env';
+
+            configPath = config.getConfigPath('testmodule');
+            fs.mkdirSync(path.dirname(configPath), {recursive: true});
+            fs.writeFileSync(configPath, JSON.stringify({foo: 1, bar: 'file'}));
+        });
+        after(function() {
+            process.env.HOME = oldHome;
+            process.env.NODE_ENV = 'test';
+            delete process.env.NODEPLAYER_TESTMODULE__BAR;
+            fs.rmSync(home, {recursive: true, force: true});
+        });
+        it('should apply environment overrides and live keys', function() {
+            var moduleConfig = config.getConfig('testmodule', {foo: 0, bar: ''}, schema);
+            moduleConfig.should.deep.equal({foo: 1, bar: 'env'});
+
+            fs.writeFileSync(configPath, JSON.stringify({foo: 2, bar: 'file'}));
+            var result = config.reloadConfig('testmodule');
+            result.changed.should.deep.equal(['foo']);
+            moduleConfig.foo.should.equal(2);
+
+            delete process.env.NODEPLAYER_TESTMODULE__BAR;
+            result = config.reloadConfig('testmodule');
+            result.restartRequired.should.deep.equal(['bar']);
+            moduleConfig.bar.should.equal('env');
+        });
+        it('should not apply invalid configuration', function() {
+            fs.writeFileSync(configPath, JSON.stringify({foo: 'x'}));
+            config.reloadConfig('testmodule').err.should.match(/"foo"/);
+            config.getConfig('testmodule').foo.should.equal(2);
+        });
+    });
+});
+
+describe('BackendHealth', function() {
+    var health;
+    var changes;
+
+    beforeEach(function() {
+        changes = [];
+        health = new BackendHealth({
+            config: {
+                backendHealthWindow: 4,
+                backendMinRequests: 2,
+                backendErrorThreshold: 0.5,
+                backendCircuitCooldownMs: 10
+            },
+            logger: dummyLogger,
+            onChange: function(backendName, backendHealth) {
+                changes.push(backendHealth.state);
+            }
+        });
+    });
+    afterEach(function() {
+        health.close();
+    });
+    it('should track error rate and latency', function() {
+        health.recordSuccess('foo', 100);
+        health.recordSuccess('foo', 300);
+        health.recordFailure('foo', 'error', 1000);
+        var fooHealth = health.getHealth('foo');
+        fooHealth.errorRate.should.equal(1 / 3);
+        fooHealth.latency.should.equal(200);
+        fooHealth.lastError.should.equal('error');
+        fooHealth.state.should.equal('closed');
+    });
+    it('should open circuit of failing backend until cooldown is over', function(done) {
+        health.recordSuccess('foo', 100);
+        health.recordFailure('foo', 'error', 100);
+        health.isAvailable('foo').should.equal(false);
+        should.exist(health.getHealth('foo').retryAt);
+
+        setTimeout(function() {
+            health.getHealth('foo').state.should.equal('halfOpen');
+            health.isAvailable('foo').should.equal(true);
+            health.recordSuccess('foo', 100);
+            changes.should.deep.equal(['open', 'halfOpen', 'closed']);
+            health.getHealth('foo').errorRate.should.equal(0);
+            done();
+        }, 30);
+    });
+    it('should open circuit again if first request after cooldown fails', function() {
+        health.setState('foo', 'halfOpen');
+        health.recordFailure('foo', 'error', 100);
+        health.getHealth('foo').state.should.equal('open');
+    });
+});
+
+describe('modules', function() {
+    describe('#getModuleInfo()', function() {
+        it('should prefer exports over package.json', function() {
+            var pkg = {nodeplayer: {dependencies: ['express'], apiVersion: '^0.1.0'}};
+            modules.getModuleInfo({apiVersion: '^0.2.0'}, pkg).should.deep.equal({
+                dependencies: ['express'],
+                apiVersion: '^0.2.0'
+            });
+            modules.getModuleInfo({}).should.deep.equal({dependencies: [], apiVersion: null});
+        });
+    });
+    describe('#checkApiVersion()', function() {
+        it('should accept compatible and undeclared versions', function() {
+            should.not.exist(modules.checkApiVersion(null));
+            should.not.exist(modules.checkApiVersion('^' + modules.getApiVersion()));
+        });
+        it('should refuse incompatible and invalid versions', function() {
+            modules.checkApiVersion('^99.0.0').should.be.ok;
+            modules.checkApiVersion('not a version').should.be.ok;
+        });
+    });
+    describe('#parseModuleSpec()', function() {
+        it('should tell short names, package names and paths apart', function() {
+            modules.parseModuleSpec('express', 'plugin', '/base').should.deep.equal({
+                name: 'express', packageName: 'nodeplayer-plugin-express', path: null
+            });
+            modules.parseModuleSpec('@co/nodeplayer-backend-foo', 'backend', '/base')
+                .should.deep.equal({
+                    name: 'foo', packageName: '@co/nodeplayer-backend-foo', path: null
+                });
+            modules.parseModuleSpec('./src/nodeplayer-plugin-bar', 'plugin', '/base')
+                .should.deep.equal({
+                    name: 'bar',
+                    packageName: null,
+                    path: path.resolve('/base/src/nodeplayer-plugin-bar')
+                });
+        });
+    });
+    describe('#readLockfile()', function() {
+        var lockPath = path.join(os.tmpdir(), 'nodeplayer-test-lock-' + process.pid + '.json');
+
+        after(function() {
+            fs.rmSync(lockPath, {force: true});
+        });
+        it('should return an empty lock if there is no lockfile', function() {
+            modules.readLockfile(lockPath).should.deep.equal({plugin: {}, backend: {}});
+        });
+        it('should read what was written', function() {
+            var lock = {plugin: {foo: {package: 'nodeplayer-plugin-foo', path: null,
+                version: '1.0.0'}}, backend: {}};
+            modules.writeLockfile(lockPath, lock);
+            modules.readLockfile(lockPath).should.deep.equal(lock);
+        });
+        it('should create the directory of the lockfile', function() {
+            var lockDir = path.join(os.tmpdir(), 'nodeplayer-test-lockdir-' + process.pid);
+            var nestedPath = path.join(lockDir, 'nested', 'modules.lock.json');
+            modules.writeLockfile(nestedPath, {plugin: {}, backend: {}});
+            modules.readLockfile(nestedPath).should.deep.equal({plugin: {}, backend: {}});
+            fs.rmSync(lockDir, {recursive: true, force: true});
+        });
+    });
+    describe('#sortModules()', function() {
+        var deps = {rest: ['express'], weblistener: ['rest', 'express'], express: []};
+        var getDependencies = function(name) {
+            return deps[name] || [];
+        };
+
+        it('should put dependencies first and otherwise keep order', function() {
+            modules.sortModules(['weblistener', 'foo', 'express', 'rest'], getDependencies)
+                .order.should.deep.equal(['express', 'rest', 'weblistener', 'foo']);
+        });
+        it('should report cycles', function() {
+            deps.express = ['weblistener'];
+            var result = modules.sortModules(['rest'], getDependencies);
+            deps.express = [];
+            should.not.exist(result.order);
+            result.err.should.equal(
+                'dependency cycle: rest -> express -> weblistener -> rest');
+        });
+    });
+});
+
+describe('StateStore', function() {
+    var statePath = path.join(os.tmpdir(), 'nodeplayer-test-state-' + process.pid + '.json');
+
+    afterEach(function() {
+        if (fs.existsSync(statePath)) {
+            fs.unlinkSync(statePath);
+        }
+    });
+    it('should return null if no state has been saved', function() {
+        should.equal(new StateStore({path: statePath}).load(), null);
+    });
+    it('should only write latest state if saved while writing', function(done) {
+        var store = new StateStore({path: statePath});
+        store.save({volume: 0.1});
+        store.save({volume: 0.2});
+        store.save({volume: 0.3});
+
+        var check = function() {
+            if (store.saving) {
+                return setTimeout(check, 10);
+            }
+            store.load().volume.should.equal(0.3);
+            store.load().savedAt.should.be.a('number');
+            done();
+        };
+        check();
+    });
+});
+
+describe('SongCache', function() {
+    var cachePath = path.join(os.tmpdir(), 'nodeplayer-test-cache-' + process.pid);
+    var backendPath = path.join(cachePath, 'dummy');
+    var inUse;
+    var songCache;
+
+    var writeSong = function(songID, size, mtime) {
+        var file = path.join(backendPath, songID + '.opus');
+        fs.writeFileSync(file, new Buffer(size));
+        fs.utimesSync(file, mtime, mtime);
+    };
+
+    beforeEach(function(done) {
+        if (!fs.existsSync(cachePath)) {
+            fs.mkdirSync(cachePath);
+            fs.mkdirSync(backendPath);
+        }
+        writeSong('oldest', 100, 1000);
+        writeSong('older', 100, 2000);
+        writeSong('newest', 100, 3000);
+
+        inUse = {};
+        songCache = new SongCache({
+            path: cachePath,
+            isInUse: function(backendName, songID) {
+                return inUse[songID];
+            },
+            logger: dummyLogger
+        });
+        songCache.scan(done);
+    });
+    afterEach(function() {
+        _.each(fs.readdirSync(backendPath), function(file) {
+            fs.unlinkSync(path.join(backendPath, file));
+        });
+    });
+    after(function() {
+        fs.rmdirSync(backendPath);
+        fs.rmdirSync(cachePath);
+    });
+    it('should index songs in cache directory', function() {
+        var stats = songCache.getStats();
+        stats.songs.should.equal(3);
+        stats.bytes.should.equal(300);
+        stats.backends.dummy.songs.should.equal(3);
+    });
+    it('should evict least recently played songs', function(done) {
+        songCache.maxBytes = 200;
+        songCache.evict(function(err, evicted) {
+            _.pluck(evicted, 'songID').should.deep.equal(['oldest']);
+            fs.existsSync(path.join(backendPath, 'oldest.opus')).should.equal(false);
+            songCache.getStats().songs.should.equal(2);
+            done(err);
+        });
+    });
+    it('should never evict songs in use', function(done) {
+        songCache.maxSongs = 1;
+        inUse.oldest = true;
+        songCache.evict(function(err, evicted) {
+            _.pluck(evicted, 'songID').should.deep.equal(['older', 'newest']);
+            done(err);
+        });
+    });
+    it('should track prepared and played songs', function(done) {
+        songCache.maxSongs = 3;
+        writeSong('prepared', 50, 4000);
+        songCache.songPlayed({backendName: 'dummy', songID: 'oldest'});
+        songCache.songPrepared({backendName: 'dummy', songID: 'prepared', format: 'opus'},
+                function(err, evicted) {
+            _.pluck(evicted, 'songID').should.deep.equal(['older']);
+            songCache.getStats().bytes.should.equal(250);
+            done(err);
+        });
+    });
+    it('should purge songs not in use', function(done) {
+        inUse.newest = true;
+        songCache.purge(function(err, purged) {
+            purged.length.should.equal(2);
+            fs.readdirSync(backendPath).should.deep.equal(['newest.opus']);
+            done(err);
+        });
+    });
+});
+
+describe('control', function() {
+    describe('#parseCommand()', function() {
+        it('should parse commands with arguments', function() {
+            control.parseCommand(['skip', '-2']).args.cnt.should.equal(-2);
+            control.parseCommand(['seek', '1:30']).args.pos.should.equal(90000);
+            control.parseCommand(['seek', '-10']).args.should.deep.equal({
+                relative: true,
+                pos: -10000
+            });
+            control.parseCommand(['volume', '50']).args.volume.should.equal(0.5);
+            control.parseCommand(['search', 'foo', 'bar']).args.terms.should.equal('foo bar');
+            control.parseCommand(['add', 'dummy', 'dummyId1'], 'kitchen').should.deep.equal({
+                cmd: 'add',
+                args: {backendName: 'dummy', songID: 'dummyId1', pos: undefined},
+                zone: 'kitchen'
+            });
+        });
+        it('should return error for invalid commands', function() {
+            control.parseCommand(['thisCommandShouldNotExist']).err.should.be.ok;
+            control.parseCommand(['add', 'dummy']).err.should.be.ok;
+            control.parseCommand(['skip', 'foo']).err.should.be.ok;
+        });
+    });
+    describe('ControlServer', function() {
+        var socketPath = path.join(os.tmpdir(), 'nodeplayer-test-' + process.pid + '.sock');
+        var server;
+        var player;
+
+        beforeEach(function(done) {
+            player = new Player({logger: dummyLogger});
+            player.queue = dummyClone(exampleQueue);
+            player.prepareSongs = _.noop;
+            dummyBackend.init(player, dummyLogger, _.noop);
+            player.backends.dummyBackend = dummyBackend;
+
+            server = new control.ControlServer({
+                core: {
+                    getZone: function(zoneName) {
+                        return zoneName ? null : player;
+                    }
+                },
+                path: socketPath,
+                logger: dummyLogger
+            });
+            server.listen(done);
+        });
+        afterEach(function(done) {
+            server.close(done);
+        });
+        it('should return status', function(done) {
+            player.queue[0].prepareRetries = 2;
+            control.sendCommand(socketPath, {cmd: 'status'}, function(err, result) {
+                result.nowPlaying.songID.should.equal(exampleQueue[0].songID);
+                result.nowPlaying.prepareRetries.should.equal(2);
+                result.queueLength.should.equal(exampleQueue.length);
+                control.formatResult('status', result).should.contain('retry 2');
+                done(err);
+            });
+        });
+        it('should skip songs', function(done) {
+            control.sendCommand(socketPath, {cmd: 'skip', args: {cnt: 2}}, function(err) {
+                player.queue[0].songID.should.equal(exampleQueue[2].songID);
+                done(err);
+            });
+        });
+        it('should add songs from search results', function(done) {
+            var request = {cmd: 'search', args: {terms: 'dummySearch'}};
+            control.sendCommand(socketPath, request, function(err, result) {
+                result.songs[0].songID.should.equal('dummyId9');
+
+                request = {cmd: 'add', args: {backendName: 'dummy', songID: 'dummyId9'}};
+                control.sendCommand(socketPath, request, function(err, result) {
+                    _.last(player.queue).songID.should.equal('dummyId9');
+                    done(err);
+                });
+            });
+        });
+        it('should return error for unknown zones and songs', function(done) {
+            control.sendCommand(socketPath, {cmd: 'status', zone: 'foo'}, function(err) {
+                err.should.be.ok;
+
+                var request = {cmd: 'add', args: {backendName: 'dummy', songID: 'foo'}};
+                control.sendCommand(socketPath, request, function(err) {
+                    err.should.be.ok;
+                    done();
+                });
+            });
+        });
+        it('should return error for requests that are not objects', function(done) {
+            control.sendCommand(socketPath, null, function(err) {
+                err.should.equal('invalid request');
+                control.sendCommand(socketPath, {cmd: 'volume', args: {volume: 'loud'}},
+                    function(err) {
+                        err.should.equal('invalid volume: loud');
+                        _.isNaN(player.volume).should.equal(false);
+                        done();
+                    });
+            });
+        });
+        it('should return error if a command throws', function(done) {
+            player.skipSongs = function() {
+                throw new Error('dummyError');
+            };
+            control.sendCommand(socketPath, {cmd: 'skip', args: {cnt: 1}}, function(err) {
+                err.should.match(/dummyError/);
+                done();
+            });
+        });
+        it('should return error for inherited property names', function(done) {
+            control.sendCommand(socketPath, {cmd: 'constructor'}, function(err) {
+                err.should.equal('unknown command: constructor');
+                done();
+            });
+        });
+        it('should time out if there is no response', function(done) {
+            var silentPath = socketPath + '.silent';
+            var silent = net.createServer(_.noop).listen(silentPath, function() {
+                control.sendCommand(silentPath, {cmd: 'status'}, function(err) {
+                    err.should.be.ok;
+                    silent.close();
+                    done();
+                }, 50);
+            });
+        });
+    });
+});
+
+describe('Playlists', function() {
+    var playlists;
+    var hooks;
+
+    beforeEach(function() {
+        hooks = [];
+        playlists = new Playlists({
+            callHooks: function(hook, argv) {
+                hooks.push(hook);
+            }
+        });
+        playlists.createPlaylist('foo', _.first(exampleQueue, 3));
+    });
+    it('should create a playlist', function() {
+        playlists.getPlaylist('foo').songs.should.deep.equal(_.first(exampleQueue, 3));
+        hooks.should.deep.equal(['onPlaylistCreated']);
+    });
+    it('should return error when creating a playlist that exists', function() {
+        playlists.createPlaylist('foo').should.be.ok;
+        playlists.getPlaylist('foo').songs.length.should.equal(3);
+    });
+    it('should rename a playlist', function() {
+        should.equal(playlists.renamePlaylist('foo', 'bar'), null);
+        should.equal(playlists.getPlaylist('foo'), null);
+        playlists.getPlaylist('bar').name.should.equal('bar');
+        _.last(hooks).should.equal('onPlaylistRenamed');
+    });
+    it('should delete a playlist', function() {
+        should.equal(playlists.deletePlaylist('foo'), null);
+        playlists.getPlaylistNames().should.deep.equal([]);
+        _.last(hooks).should.equal('onPlaylistDeleted');
+    });
+    it('should append songs to a playlist', function() {
+        playlists.appendToPlaylist('foo', [exampleQueue[3]]);
+        playlists.appendToPlaylist('foo', [exampleQueue[4]], 0);
+        playlists.getSongs('foo').should.deep.equal([
+            exampleQueue[4],
+            exampleQueue[0],
+            exampleQueue[1],
+            exampleQueue[2],
+            exampleQueue[3]
+        ]);
+        _.last(hooks).should.equal('onPlaylistModified');
+    });
+    it('should move songs in a playlist', function() {
+        playlists.moveInPlaylist('foo', 0, 1, 2);
+        playlists.getSongs('foo').should.deep.equal([
+            exampleQueue[2],
+            exampleQueue[0],
+            exampleQueue[1]
+        ]);
+    });
+    it('should return error and not do anything for invalid ranges', function() {
+        playlists.moveInPlaylist('foo', 2, 0, 2).should.be.ok;
+        playlists.removeFromPlaylist('foo', 3).should.be.ok;
+        playlists.getSongs('foo').should.deep.equal(_.first(exampleQueue, 3));
+    });
+    it('should return error for missing or invalid positions', function() {
+        playlists.removeFromPlaylist('foo').should.be.ok;
+        playlists.removeFromPlaylist('foo', 'bar').should.be.ok;
+        playlists.moveInPlaylist('foo', undefined, 1).should.be.ok;
+        playlists.removeFromPlaylist('foo', 0, 'bar').should.be.ok;
+        playlists.getSongs('foo').should.deep.equal(_.first(exampleQueue, 3));
+    });
+    it('should accept positions and counts given as strings', function() {
+        should.equal(playlists.moveInPlaylist('foo', '0', '1', '2'), null);
+        playlists.getSongs('foo').should.deep.equal([
+            exampleQueue[2],
+            exampleQueue[0],
+            exampleQueue[1]
+        ]);
+        playlists.moveInPlaylist('foo', '1', '0', '3').should.be.ok;
+        should.equal(playlists.removeFromPlaylist('foo', '1', '2'), null);
+        playlists.getSongs('foo').should.deep.equal([exampleQueue[2]]);
+    });
+    it('should allow names of object properties', function() {
+        should.equal(playlists.getSongs('toString'), null);
+        playlists.deletePlaylist('constructor').should.be.ok;
+        should.equal(playlists.createPlaylist('constructor', [exampleQueue[0]]), null);
+        should.equal(playlists.createPlaylist('__proto__', [exampleQueue[1]]), null);
+        playlists.getSongs('constructor').should.deep.equal([exampleQueue[0]]);
+        playlists.getSongs('__proto__').should.deep.equal([exampleQueue[1]]);
+        playlists.getPlaylistNames().should.deep.equal(['foo', 'constructor', '__proto__']);
+    });
+    it('should return copies of songs', function() {
+        playlists.getSongs('foo')[0].title = 'changed';
+        playlists.getSongs('foo', 0, 1).should.deep.equal([exampleQueue[0]]);
+    });
+    it('should persist playlists to disk', function() {
+        var playlistPath = path.join(os.tmpdir(), 'nodeplayer-test-playlists-' + process.pid +
+                '.json');
+
+        var saved = new Playlists({path: playlistPath});
+        saved.createPlaylist('foo', _.first(exampleQueue, 2));
+
+        var loaded = new Playlists({path: playlistPath});
+        fs.unlinkSync(playlistPath);
+        loaded.getSongs('foo').should.deep.equal(_.first(exampleQueue, 2));
+    });
+});
+
+describe('PlayHistory', function() {
+    var history;
+    var historyPath = path.join(os.tmpdir(), 'nodeplayer-test-history-' + process.pid + '.jsonl');
+
+    beforeEach(function() {
+        history = new PlayHistory();
+        _.each([
+            [0, 'foo', 'a', false, 'dummy'],
+            [1, 'bar', 'a', true, 'dummy'],
+            [2, 'foo', 'a', false, 'dummy'],
+            [3, 'baz', 'b', false, 'other'],
+            [4, 'foo', 'a', true, 'dummy']
+        ], function(play) {
+            history.entries.push({
+                startedAt: 1000 + play[0],
+                songID: play[1],
+                artist: play[2],
+                skipped: play[3],
+                backendName: play[4],
+                zone: 'default'
+            });
+        });
+    });
+    afterEach(function() {
+        if (fs.existsSync(historyPath)) {
+            fs.unlinkSync(historyPath);
+        }
+    });
+    it('should record how long songs played and whether they were skipped', function() {
+        history = new PlayHistory();
+        history.songStarted('default', new Song(exampleQueue[0], 'a'));
+        history.songPaused('default');
+        history.songStarted('default', new Song(exampleQueue[0], 'a'));
+        history.entries.length.should.equal(0);
+
+        history.songStarted('default', new Song(exampleQueue[1], 'b'));
+        history.songEnded('default');
+
+        history.entries.length.should.equal(2);
+        history.entries[0].songID.should.equal(exampleQueue[0].songID);
+        history.entries[0].skipped.should.equal(true);
+        history.entries[0].playedMs.should.be.a('number');
+        history.entries[1].songID.should.equal(exampleQueue[1].songID);
+        history.entries[1].skipped.should.equal(false);
+        history.entries[1].zone.should.equal('default');
+    });
+    it('should return most played songs, artists and backends', function() {
+        var songs = history.getMostPlayedSongs();
+        songs[0].songID.should.equal('foo');
+        songs[0].plays.should.equal(3);
+        songs[0].skips.should.equal(1);
+        songs.length.should.equal(3);
+
+        history.getMostPlayedArtists({limit: 1}).should.deep.equal([
+            {artist: 'a', plays: 4, skips: 2}
+        ]);
+        _.pluck(history.getMostPlayedBackends(), 'backendName')
+            .should.deep.equal(['dummy', 'other']);
+    });
+    it('should only query entries within time range', function() {
+        history.getMostPlayedSongs({from: 1001, to: 1004}).length.should.equal(3);
+        songIDs(history.getRecentlyPlayed({from: 1002, limit: 2})).should.deep.equal([
+            'foo', 'baz'
+        ]);
+        history.getSkipRate().should.equal(0.4);
+        history.getSkipRate({from: 1002, to: 1004}).should.equal(0);
+        history.getSkipRate({zone: 'kitchen'}).should.equal(0);
+    });
+    it('should export as JSON and CSV', function() {
+        JSON.parse(history.exportJSON({from: 1004})).should.deep.equal([history.entries[4]]);
+
+        history.entries = [{startedAt: 1000, title: 'say "hi", bye', skipped: false}];
+        var lines = history.exportCSV().split('\n');
+        lines[0].should.equal('startedAt,playedMs,skipped,zone,userID,backendName,songID,' +
+                'artist,title,album,duration');
+        lines[1].should.equal('1000,,false,,,,,,"say ""hi"", bye",,');
+    });
+    it('should persist history to disk and forget oldest entries', function() {
+        var saved = new PlayHistory({path: historyPath, maxEntries: 2});
+        _.each(['a', 'b', 'c', 'd'], function(entryID) {
+            saved.songStarted('default', new Song(exampleQueue[0], entryID));
+        });
+        saved.close();
+        saved.entries.length.should.equal(2);
+        fs.appendFileSync(historyPath, '{"partial');
+
+        var loaded = new PlayHistory({path: historyPath});
+        loaded.entries.should.deep.equal(saved.entries);
+    });
+});
+
+describe('AutoDJ', function() {
+    var player;
+    var playHistory;
+    var autoDJ;
+
+    beforeEach(function() {
+        player = new Player({logger: dummyLogger});
+        player.prepareSongs = _.noop;
+        player.backends = {dummyBackend: dummyBackend};
+        player.playlists.createPlaylist('foo', exampleQueue);
+
+        playHistory = new PlayHistory();
+        autoDJ = new AutoDJ({
+            player: player,
+            playHistory: playHistory,
+            config: _.extend({}, nodeplayer.config.getDefaultConfig(), {
+                autoDJ: true,
+                autoDJMinQueueLength: 3,
+                autoDJSources: ['history', 'playlists']
+            }),
+            logger: dummyLogger
+        });
+    });
+    it('should not queue songs before started or if disabled', function() {
+        player.onQueueModify();
+        player.queue.length.should.equal(0);
+
+        autoDJ.config.autoDJ = false;
+        autoDJ.start();
+        player.queue.length.should.equal(0);
+    });
+    it('should refill queue from sources in order', function(done) {
+        playHistory.entries.push(_.extend({skipped: false}, exampleQueue[5]));
+        player.on('onSongsAutoQueued', function(songs) {
+            songs.length.should.equal(3);
+            songs[0].songID.should.equal(exampleQueue[5].songID);
+            _.pluck(songs, 'autoAdded').should.deep.equal([true, true, true]);
+            should.not.exist(songs[0].userID);
+            done();
+        });
+        autoDJ.start();
+    });
+    it('should not pick recently played, queued or mostly skipped songs', function(done) {
+        autoDJ.config.autoDJMinQueueLength = 6;
+        player.queue = [new Song(exampleQueue[0])];
+        player.playedQueue = [new Song(exampleQueue[1])];
+        playHistory.entries.push(_.extend({skipped: false, zone: 'default'}, exampleQueue[2]));
+        playHistory.entries.push(_.extend({skipped: true}, exampleQueue[3]));
+        autoDJ.config.autoDJSources = ['history'];
+
+        autoDJ.start();
+        player.queue.length.should.equal(1);
+
+        autoDJ.config.autoDJSources = ['playlists'];
+        autoDJ.refill(function(songs) {
+            songIDs(songs).sort().should.deep.equal(songIDs(exampleQueue.slice(3)));
+            done();
+        });
+    });
+    it('should search for recently played artists', function(done) {
+        autoDJ.config.autoDJSources = ['search'];
+        playHistory.entries.push(_.extend({skipped: false, zone: 'default'}, exampleQueue[0]));
+        player.searchBackends = function(query, callback) {
+            query.terms.should.equal(exampleQueue[0].artist);
+            callback({}, {merged: {songs: _.map(exampleQueue, function(song) {
+                return {song: song};
+            })}});
+        };
+        autoDJ.start();
+        autoDJ.refill(function() {
+            songIDs(player.queue).should.not.include(exampleQueue[0].songID);
+            player.queue.length.should.equal(3);
+            done();
+        });
+    });
+});
+
+describe('Core', function() {
+    var core;
+    var baseDir = path.join(os.tmpdir(), 'nodeplayer-test-core-' + process.pid);
+    var loggerFactory = function() {
+        return dummyLogger;
+    };
+
+    beforeEach(function() {
+        core = new nodeplayer.Core({
+            config: {persistState: false},
+            baseDir: baseDir,
+            loggerFactory: loggerFactory
+        });
+    });
+    after(function() {
+        fs.rmSync(baseDir, {recursive: true, force: true});
+    });
+    describe('#Core()', function() {
+        it('should use given config on top of defaults', function() {
+            core.config.persistState.should.equal(false);
+            core.config.songDelayMs.should.equal(
+                nodeplayer.config.getDefaultConfig().songDelayMs);
+            core.player.config.should.equal(core.config);
+            core.songCache.path.should.equal(path.join(baseDir, 'song-cache'));
+        });
+        it('should not persist anything without a base directory', function() {
+            var embedded = new nodeplayer.Core({
+                config: {persistPlayHistory: true},
+                loggerFactory: loggerFactory
+            });
+            embedded.config.persistState.should.equal(false);
+            embedded.config.controlSocket.should.equal(false);
+            should.not.exist(embedded.player.stateStore);
+            should.not.exist(embedded.player.playlists.path);
+            embedded.config.persistPlayHistory.should.equal(true);
+            should.not.exist(embedded.moduleLockPath);
+            should.not.exist(embedded.songCache.path);
+            embedded.close();
+        });
+        it('should not share nested config defaults between cores', function() {
+            var cores = _.map(['a', 'b'], function() {
+                return new nodeplayer.Core({loggerFactory: loggerFactory});
+            });
+            cores[0].config.roles.alice = 'admin';
+            should.not.exist(cores[1].config.roles.alice);
+            should.not.exist(nodeplayer.config.getDefaultConfig().roles.alice);
+            _.invoke(cores, 'close');
+        });
+        it('should keep state of several cores apart', function(done) {
+            var cores = _.map(['a', 'b'], function(name) {
+                return new nodeplayer.Core({
+                    baseDir: path.join(baseDir, name),
+                    loggerFactory: loggerFactory
+                });
+            });
+            cores[0].player.setVolume(0.25);
+            cores[1].player.setVolume(0.75);
+
+            var check = function() {
+                if (_.some(cores, function(core) {
+                    return core.player.stateStore.saving;
+                })) {
+                    return setTimeout(check, 10);
+                }
+
+                _.each(cores, function(core) {
+                    core.close();
+                    new StateStore({path: path.join(core.baseDir, 'state.json')})
+                        .load().volume.should.equal(core.player.volume);
+                });
+                done();
+            };
+            check();
+        });
+    });
+    describe('#initModules()', function() {
+        it('should initialize given module objects', function(done) {
+            core = new nodeplayer.Core({
+                config: {persistState: false, controlSocket: false},
+                baseDir: baseDir,
+                loggerFactory: loggerFactory,
+                modules: {plugins: {}, backends: {dummy: dummyBackend}}
+            });
+            core.initModules(false, function() {
+                core.backends.dummy.should.equal(dummyBackend);
+                core.songsPreparing.dummy.should.deep.equal({});
+                core.close(done);
+            });
+        });
+    });
+    describe('#resolveModules()', function() {
+        var createCore = function(plugins, backends) {
+            return new nodeplayer.Core({
+                config: {persistState: false, controlSocket: false},
+                baseDir: baseDir,
+                loggerFactory: loggerFactory,
+                modules: {plugins: plugins, backends: backends || {}}
+            });
+        };
+        var plugin = function(dependencies, apiVersion) {
+            return {
+                dependencies: dependencies,
+                apiVersion: apiVersion,
+                init: function(player, logger, callback) {
+                    initialized.push(this);
+                    callback();
+                }
+            };
+        };
+        var initialized;
+
+        beforeEach(function() {
+            initialized = [];
+        });
+        it('should initialize plugins after their dependencies', function(done) {
+            var plugins = {
+                rest: plugin(['express']),
+                express: plugin([])
+            };
+            core = createCore(plugins, {dummy: {
+                dependencies: ['rest'],
+                init: function(player, logger, callback) {
+                    callback();
+                }
+            }});
+            core.initModules(false, function(err) {
+                should.not.exist(err);
+                initialized.should.deep.equal([plugins.express, plugins.rest]);
+                done();
+            });
+        });
+        it('should report all problems before initializing anything', function(done) {
+            core = createCore({
+                rest: plugin(['express']),
+                old: plugin([], '^0.0.1'),
+                a: plugin(['b']),
+                b: plugin(['a'])
+            });
+            core.initModules(false, function(err) {
+                err.should.match(/no such plugin: express, required by rest/);
+                err.should.match(/plugin old: requires nodeplayer API/);
+                err.should.match(/dependency cycle: a -> b -> a/);
+                initialized.length.should.equal(0);
+                done();
+            });
+        });
+    });
+    describe('module sources', function() {
+        var pluginPath = path.join(baseDir, 'local', 'nodeplayer-plugin-local');
+
+        before(function() {
+            fs.mkdirSync(pluginPath, {recursive: true});
+            fs.writeFileSync(path.join(pluginPath, 'package.json'),
+                    JSON.stringify({name: 'nodeplayer-plugin-local', version: '1.2.3'}));
+            fs.writeFileSync(path.join(pluginPath, 'index.js'),
+                    'exports.init = function(player, logger, callback) { callback(); };');
+        });
+        var createCore = function(plugins) {
+            return new nodeplayer.Core({
+                config: {
+                    persistState: false,
+                    controlSocket: false,
+                    offline: true,
+                    plugins: plugins,
+                    backends: []
+                },
+                baseDir: baseDir,
+                loggerFactory: loggerFactory
+            });
+        };
+
+        it('should load modules from paths and record their versions', function(done) {
+            core = createCore(['./local/nodeplayer-plugin-local']);
+            core.initModules(false, function(err) {
+                should.not.exist(err);
+                core.plugins.local.should.equal(require(pluginPath));
+
+                var lock = modules.readLockfile(path.join(baseDir, 'modules.lock.json'));
+                lock.plugin.local.should.deep.equal({
+                    package: null,
+                    path: pluginPath,
+                    version: '1.2.3'
+                });
+                core.close(done);
+            });
+        });
+        it('should not install missing modules in offline mode', function(done) {
+            core = createCore(['nodeplayer-plugin-notinstalled']);
+            core.installModule = function() {
+                throw new Error('npm used in offline mode');
+            };
+            core.initModules(false, function(err) {
+                err.should.match(/nodeplayer-plugin-notinstalled is not installed, offline mode/);
+                core.close(done);
+            });
+        });
+    });
+    describe('module loading', function() {
+        var backend;
+
+        beforeEach(function(done) {
+            backend = {
+                inits: 0,
+                destroyed: false,
+                init: function(player, logger, callback) {
+                    this.inits++;
+                    callback();
+                },
+                isPrepared: function() {
+                    return false;
+                },
+                prepareSong: function() {
+                    return _.noop;
+                },
+                destroy: function(callback) {
+                    this.destroyed = true;
+                    callback();
+                }
+            };
+            core = new nodeplayer.Core({
+                config: {persistState: false, controlSocket: false},
+                baseDir: baseDir,
+                loggerFactory: loggerFactory,
+                modules: {plugins: {}, backends: {fake: backend}}
+            });
+            core.loadModule('fake', 'backend', done);
+        });
+        it('should load modules once', function(done) {
+            core.getModule('fake', 'backend').should.equal(backend);
+            core.loadModule('fake', 'backend', function(err) {
+                err.should.be.ok;
+                core.loadModule('nonexistent', 'plugin', function(err) {
+                    err.should.be.ok;
+                    done();
+                });
+            });
+        });
+        it('should destroy backend and remove its songs when unloading', function(done) {
+            var unloaded = null;
+            core.player.on('onBackendUnloaded', function(name) {
+                unloaded = name;
+            });
+            core.player.queue = _.map([
+                {songID: 'foo', backendName: 'fake', duration: 1000},
+                {songID: 'bar', backendName: 'other', duration: 1000},
+                {songID: 'baz', backendName: 'fake', duration: 1000}
+            ], function(song) {
+                return new Song(song);
+            });
+            var preparing = core.player.queue[0];
+            core.songsPreparing.fake.foo = preparing;
+            core.player.prepareSongs = _.noop;
+
+            core.unloadModule('fake', 'backend', function(err) {
+                should.not.exist(err);
+                backend.destroyed.should.equal(true);
+                unloaded.should.equal('fake');
+                preparing.prepareCancelled.should.equal(true);
+                should.not.exist(core.getModule('fake', 'backend'));
+                should.not.exist(core.songsPreparing.fake);
+                songIDs(core.player.queue).should.deep.equal(['bar']);
+                done();
+            });
+        });
+        it('should remove handlers registered by unloaded modules', function(done) {
+            core.preloadedModules.plugins.listening = {
+                init: function(player, logger, callback) {
+                    player.on('onSongChange', _.noop);
+                    setTimeout(function() {
+                        player.on('onSongEnd', _.noop, {module: 'listening'});
+                        callback();
+                    });
+                }
+            };
+            core.player.on('onSongChange', _.noop);
+
+            core.loadModule('listening', 'plugin', function(err) {
+                should.not.exist(err);
+                _.pluck(core.player.listeners.onSongChange, 'module').should.contain('listening');
+                core.unloadModule('listening', 'plugin', function(err) {
+                    _.pluck(core.player.listeners.onSongChange, 'module')
+                        .should.not.contain('listening');
+                    _.pluck(core.player.listeners.onSongEnd, 'module')
+                        .should.not.contain('listening');
+                    _.pluck(core.player.listeners.onSongChange, 'fn').should.contain(_.noop);
+                    done(err);
+                });
+            });
+        });
+        it('should keep songs when reloading', function(done) {
+            core.player.queue = [{songID: 'foo', backendName: 'fake', duration: 1000}];
+            core.player.prepareSongs = _.noop;
+            core.reloadModule('fake', 'backend', function(err) {
+                should.not.exist(err);
+                backend.destroyed.should.equal(true);
+                backend.inits.should.equal(2);
+                core.getModule('fake', 'backend').should.equal(backend);
+                core.player.queue.length.should.equal(1);
+                done();
+            });
+        });
+        it('should return error when unloading modules that are not loaded', function(done) {
+            core.unloadModule('nonexistent', 'plugin', function(err) {
+                err.should.be.ok;
+                done();
+            });
+        });
+    });
+    describe('#createZone()', function() {
+        it('should create a default zone', function() {
+            core.getZone().should.equal(core.player);
+            core.player.zone.should.equal('default');
+        });
+        it('should share modules between zones', function() {
+            var player = core.createZone('kitchen');
+            player.should.not.equal(core.player);
+            player.plugins.should.equal(core.player.plugins);
+            player.backends.should.equal(core.player.backends);
+            player.songsPreparing.should.equal(core.player.songsPreparing);
+            player.playlists.should.equal(core.player.playlists);
+        });
+        it('should not create zones with invalid or existing names', function() {
+            should.equal(core.createZone('default'), null);
+            should.equal(core.createZone('../foo'), null);
+        });
+        it('should call hooks with the zone they fire for', function(done) {
+            var player = core.createZone('kitchen');
+            core.plugins.dummy = {
+                onVolumeChange: function() {
+                    this.should.equal(player);
+                    this.zone.should.equal('kitchen');
+                    done();
+                }
+            };
+            player.setVolume(0.5);
+        });
+    });
+    describe('play history', function() {
+        it('should record songs played in each zone', function() {
+            var player = core.createZone('kitchen');
+            player.prepareSongs = _.noop;
+            player.queue = _.map(['a', 'b', 'c'], function(entryID, i) {
+                return new Song(exampleQueue[i], entryID);
+            });
+            player.startPlayback();
+            player.pausePlayback();
+            player.startPlayback();
+            player.pausePlayback();
+            player.endOfSong();
+            player.startPlayback();
+            player.skipSongs(1);
+            player.startPlayback();
+            core.destroyZone('kitchen');
+
+            var entries = core.playHistory.getEntries({zone: 'kitchen'});
+            _.pluck(entries, 'songID').should.deep.equal(songIDs(_.first(exampleQueue, 3)));
+            _.pluck(entries, 'skipped').should.deep.equal([false, true, true]);
+        });
+        it('should finish songs that are removed, stopped or skipped at end of queue',
+                function(done) {
+            var player = core.createZone('kitchen');
+            player.prepareSongs = _.noop;
+            player.queue = _.map(['a', 'b'], function(entryID, i) {
+                return new Song(exampleQueue[i], entryID);
+            });
+            core.playHistory.entries = []; // loaded from earlier tests
+            var getSkipped = function() {
+                return _.pluck(core.playHistory.getEntries({zone: 'kitchen'}), 'skipped');
+            };
+
+            player.startPlayback();
+            player.removeFromQueue(0, 1, function(err) {
+                getSkipped().should.deep.equal([true]);
+                player.startPlayback();
+                player.stop();
+                getSkipped().should.deep.equal([true, true]);
+
+                player.startPlayback();
+                player.skipSongs(1);
+                player.queue.length.should.equal(0);
+                getSkipped().should.deep.equal([true, true, true]);
+                should.not.exist(core.playHistory.playing.kitchen);
+                done(err);
+            });
+        });
+    });
+    describe('shared preparation', function() {
+        it('should only cancel preparing songs no other zone waits for', function() {
+            var cancelled = [];
+            core.backends.fake = {
+                isPrepared: function() {
+                    return false;
+                },
+                prepareSong: function(song, progCallback, errCallback) {
+                    return function(reason) {
+                        cancelled.push(reason);
+                        errCallback(song, reason);
+                    };
+                }
+            };
+            core.songsPreparing.fake = {};
+            var player = core.createZone('kitchen');
+            var song = {songID: 'foo', backendName: 'fake', title: 'foo', duration: 1000};
+
+            core.player.queue = [new Song(song)];
+            core.player.prepareSongs();
+            core.player.spliceQueue(0, 1);
+            cancelled.should.deep.equal(['song deleted']);
+
+            core.player.queue = [new Song(song)];
+            player.queue = [new Song(song)];
+            core.player.prepareSongs();
+            player.prepareSongs();
+            var preparing = core.songsPreparing.fake.foo;
+            preparing.should.equal(core.player.queue[0]);
+            core.player.spliceQueue(0, 1);
+            cancelled.length.should.equal(1);
+
+            player.spliceQueue(0, 1);
+            clearTimeout(preparing.prepareTimeout);
+        });
+    });
+    describe('#destroyZone()', function() {
+        it('should remove zone and its queue', function() {
+            var player = core.createZone('kitchen');
+            player.queue = dummyClone(exampleQueue);
+            should.equal(core.destroyZone('kitchen'), null);
+            should.equal(core.getZone('kitchen'), null);
+            player.queue.length.should.equal(0);
+        });
+        it('should not destroy default zone', function() {
+            core.destroyZone('default').should.be.ok;
+            core.getZone('default').should.equal(core.player);
+        });
+    });
+    describe('#copySongs()', function() {
+        it('should copy songs to another zone', function(done) {
+            var player = core.createZone('kitchen');
+            core.player.prepareSongs = player.prepareSongs = _.noop;
+            core.player.queue = dummyClone(exampleQueue);
+
+            core.copySongs('default', 1, 2, 'kitchen', 0, function(err) {
+                _.pluck(player.queue, 'songID').should.deep.equal(
+                    _.pluck(exampleQueue.slice(1, 3), 'songID'));
+                core.player.queue.length.should.equal(exampleQueue.length);
+                done(err);
+            });
+        });
+    });
+    describe('#moveSongs()', function() {
+        it('should move songs to another zone', function(done) {
+            var player = core.createZone('kitchen');
+            core.player.prepareSongs = player.prepareSongs = _.noop;
+            core.player.queue = Song.restore(exampleQueue);
+
+            core.moveSongs('default', 1, 2, 'kitchen', 0, function(err) {
+                _.pluck(player.queue, 'songID').should.deep.equal(
+                    _.pluck(exampleQueue.slice(1, 3), 'songID'));
+                core.player.queue.length.should.equal(exampleQueue.length - 2);
+                done(err);
+            });
+        });
+        it('should keep songs that were rejected by the other zone', function(done) {
+            var player = core.createZone('kitchen');
+            core.player.prepareSongs = player.prepareSongs = _.noop;
+            core.player.queue = Song.restore(exampleQueue);
+            var rejectedID = exampleQueue[2].songID;
+            player.on('preSongQueued', function(song) {
+                return song.songID === rejectedID;
+            });
+
+            core.moveSongs('default', 1, 2, 'kitchen', 0, function(err, added, rejected) {
+                rejected.length.should.equal(1);
+                _.pluck(player.queue, 'songID').should.deep.equal([exampleQueue[1].songID]);
+                _.pluck(core.player.queue, 'songID').should.not.contain(exampleQueue[1].songID);
+                _.pluck(core.player.queue, 'songID').should.contain(rejectedID);
+                done(err);
+            });
+        });
+        it('should remove moved entries even if the queue changed meanwhile', function(done) {
+            var player = core.createZone('kitchen');
+            core.player.prepareSongs = player.prepareSongs = _.noop;
+            core.player.queue = Song.restore(exampleQueue);
+            var moved = core.player.queue[1];
+            player.on('preSongsQueued', function() {
+                core.player.spliceQueue(0, 1);
+            });
+
+            core.moveSongs('default', 1, 1, 'kitchen', 0, function(err) {
+                _.pluck(core.player.queue, 'entryID').should.not.contain(moved.entryID);
+                core.player.queue.length.should.equal(exampleQueue.length - 2);
+                done(err);
+            });
+        });
+    });
+});
+
+describe('OpLog', function() {
+    it('should number operations and return those missed', function() {
+        var oplog = new OpLog({size: 2});
+        oplog.append('default', 'skip', {cnt: 1});
+        oplog.append('default', 'seek', {pos: 1000});
+        oplog.append('default', 'pause').seq.should.equal(3);
+
+        _.pluck(oplog.since(1), 'type').should.deep.equal(['seek', 'pause']);
+        oplog.since(3).should.deep.equal([]);
+        should.not.exist(oplog.since(0));
+        should.not.exist(oplog.since(4));
+    });
+});
+
+describe('replication', function() {
+    var baseDir = path.join(os.tmpdir(), 'nodeplayer-test-replication-' + process.pid);
+    var leader;
+    var follower;
+    var backend = {
+        init: function(player, logger, callback) {
+            callback();
+        },
+        isPrepared: function() {
+            return true;
+        }
+    };
+    var createCore = function(name, config, callback) {
+        var core = new nodeplayer.Core({
+            config: _.extend({
+                persistState: false,
+                controlSocket: false,
+                replicationHost: '127.0.0.1',
+                replicationPort: 0,
+                replicationReconnectMs: 10
+            }, config),
+            baseDir: path.join(baseDir, name),
+            loggerFactory: function() {
+                return dummyLogger;
+            },
+            modules: {plugins: {}, backends: {dummyBackend: backend}}
+        });
+        core.initModules(false, function(err) {
+            callback(err, core);
+        });
+    };
+    // call callback once follower has the same queue as leader
+    var waitForSync = function(callback) {
+        var check = function() {
+            if (!_.isEqual(follower.player.getEntryIDs(), leader.player.getEntryIDs())) {
+                return setTimeout(check, 10);
+            }
+            callback();
+        };
+        check();
+    };
+
+    beforeEach(function(done) {
+        createCore('leader', {replicationRole: 'leader'}, function(err, core) {
+            leader = core;
+            leader.player.addToQueue(dummyClone(_.first(exampleQueue, 4)));
+
+            // leader listens on a random port
+            var listening = function() {
+                if (!leader.replicationLeader.server.address()) {
+                    return setTimeout(listening, 10);
+                }
+                createCore('follower', {
+                    replicationRole: 'follower',
+                    replicationPort: leader.replicationLeader.server.address().port
+                }, function(err, core) {
+                    follower = core;
+                    done(err);
+                });
+            };
+            listening();
+        });
+    });
+    afterEach(function(done) {
+        follower.close(function() {
+            leader.close(done);
+        });
+    });
+    after(function() {
+        fs.rmSync(baseDir, {recursive: true, force: true});
+    });
+    it('should replicate queue with entry IDs from a snapshot and operations', function(done) {
+        waitForSync(function() {
+            leader.player.removeFromQueue(1);
+            leader.player.moveInQueue(2, 1);
+            leader.player.addToQueue([dummyClone(exampleQueue[5])], 1);
+
+            waitForSync(function() {
+                follower.player.queue[1].songID.should.equal(exampleQueue[5].songID);
+                done();
+            });
+        });
+    });
+    it('should catch up after reconnecting', function(done) {
+        var snapshots = 0;
+
+        waitForSync(function() {
+            var onMessage = follower.replicationFollower.onMessage;
+            follower.replicationFollower.onMessage = function(message) {
+                if (message.type === 'snapshot') {
+                    snapshots++;
+                }
+                onMessage(message);
+            };
+
+            follower.replicationFollower.socket.destroy();
+            leader.player.shuffleQueue();
+            leader.player.removeFromQueue(3);
+
+            waitForSync(function() {
+                follower.replicationFollower.seq.should.equal(leader.oplog.seq);
+                snapshots.should.equal(0);
+                done();
+            });
+        });
     });
 });